@@ -1,6 +1,6 @@
 /*
- * Transformation Matrix JS v1.5 (c) Epistemex 2014
+ * Transformation Matrix JS v1.6 (c) Epistemex 2014
  * www.epistemex.com
  * License: MIT, this header required.
 */
-function Matrix(a){this.a=1;this.b=0;this.c=0;this.d=1;this.e=0;this.f=0;this.context=a||null;if(a){a.setTransform(1,0,0,1,0,0)}}Matrix.prototype={flipX:function(){this.transform(-1,0,0,1,0,0);return this},flipY:function(){this.transform(1,0,0,-1,0,0);return this},reset:function(){this.a=this.d=1;this.b=this.c=this.e=this.f=0;this._setCtx();return this},rotate:function(a){var b=Math.cos(a),c=Math.sin(a);this.transform(b,c,-c,b,0,0);return this},rotateDeg:function(a){this.rotate(a*0.0174532925199433);return this},scale:function(a,b){this.transform(a,0,0,b,0,0);return this},scaleX:function(a){this.transform(a,0,0,1,0,0);return this},scaleY:function(a){this.transform(1,0,0,a,0,0);return this},skew:function(a,b){this.transform(1,b,a,1,0,0);return this},skewX:function(a){this.transform(1,0,a,1,0,0);return this},skewY:function(a){this.transform(1,a,0,1,0,0);return this},setTransform:function(g,h,i,j,k,l){this.a=g;this.b=h;this.c=i;this.d=j;this.e=k;this.f=l;this._setCtx();return this},translate:function(a,b){this.transform(1,0,0,1,a,b);return this},translateX:function(a){this.transform(1,0,0,1,a,0);return this},translateY:function(a){this.transform(1,0,0,1,0,a);return this},transform:function(b,d,f,h,j,l){var a=this.a,c=this.b,e=this.c,g=this.d,i=this.e,k=this.f;this.a=a*b+e*d;this.b=c*b+g*d;this.c=a*f+e*h;this.d=c*f+g*h;this.e=a*j+e*l+i;this.f=c*j+g*l+k;this._setCtx();return this},getInverse:function(){var g=this.a,h=this.b,i=this.c,j=this.d,l=this.e,n=this.f,o=new Matrix(),k=(g*j-h*i);o.a=j/k;o.b=-h/k;o.c=-i/k;o.d=g/k;o.e=(i*n-j*l)/k;o.f=-(g*n-h*l)/k;return o},interpolate:function(b,c){var a=new Matrix();a.a=this.a+(b.a-this.a)*c;a.b=this.b+(b.b-this.b)*c;a.c=this.c+(b.c-this.c)*c;a.d=this.d+(b.d-this.d)*c;a.e=this.e+(b.e-this.e)*c;a.f=this.f+(b.f-this.f)*c;return a},applyToPoint:function(a,b){return{x:a*this.a+b*this.c+this.e,y:a*this.b+b*this.d+this.f}},applyToArray:function(e){var a=0,d,b,c=[];if(typeof e[0]==="number"){b=e.length;while(a<b){d=this.applyToPoint(e[a++],e[a++]);c.push(d.x,d.y)}}else{for(;d=e[a];a++){c.push(this.applyToPoint(d.x,d.y))}}return c},applyToTypedArray:function(e){var a=0,d,b=e.length,c=new Float32Array(b);while(a<b){d=this.applyToPoint(e[a],e[a+1]);c[a++]=d.x;c[a++]=d.y}return c},applyToContext:function(a){a.setTransform(this.a,this.b,this.c,this.d,this.e,this.f);return this},isIdentity:function(){return(this._isEqual(this.a,1)&&this._isEqual(this.b,0)&&this._isEqual(this.c,0)&&this._isEqual(this.d,1)&&this._isEqual(this.e,0)&&this._isEqual(this.f,0))},isEqual:function(a){return(this._isEqual(this.a,a.a)&&this._isEqual(this.b,a.b)&&this._isEqual(this.c,a.c)&&this._isEqual(this.d,a.d)&&this._isEqual(this.e,a.e)&&this._isEqual(this.f,a.f))},_isEqual:function(a,b){return Math.abs(a-b)<1e-14},_setCtx:function(){if(this.context){this.context.setTransform(this.a,this.b,this.c,this.d,this.e,this.f)}}};
\ No newline at end of file
+function Matrix(t){this.a=1,this.b=0,this.c=0,this.d=1,this.e=0,this.f=0,this.context=t||null,this._stack=[],this._listeners=[],this._pending=!1,t&&t.setTransform(1,0,0,1,0,0)}function ImmutableMatrix(t,r,e,i,s,a){this.a=void 0===t?1:t,this.b=void 0===r?0:r,this.c=void 0===e?0:e,this.d=void 0===i?1:i,this.e=void 0===s?0:s,this.f=void 0===a?0:a,this.context=null,Object.freeze(this)}Matrix.prototype={flipX:function(){return this.transform(-1,0,0,1,0,0),this},flipY:function(){return this.transform(1,0,0,-1,0,0),this},reset:function(){return this.a=this.d=1,this.b=this.c=this.e=this.f=0,this._setCtx(),this},save:function(){return this._stack.push([this.a,this.b,this.c,this.d,this.e,this.f]),this.context&&this.context.save(),this},restore:function(){var t=this._stack.pop();return t&&(this.a=t[0],this.b=t[1],this.c=t[2],this.d=t[3],this.e=t[4],this.f=t[5],this.context&&this.context.restore(),this._setCtx()),this},on:function(t,r){if("change"!==t)throw new Error("Unsupported event type: "+t);return this._listeners.indexOf(r)<0&&this._listeners.push(r),this},off:function(t,r){var e=this._listeners.indexOf(r);return"change"===t&&e>-1&&this._listeners.splice(e,1),this},startRecording:function(){var t=this;return this.stopRecording(),this._recording=[],this._recorder={after:function(r,e){"copyFrom"===r?(r="setTransform",e=[t.a,t.b,t.c,t.d,t.e,t.f]):e=Array.prototype.slice.call(e),t._recording.push({op:r,args:e})}},this._addOpObserver(this._recorder),this},stopRecording:function(){return this._recorder&&(this._removeOpObserver(this._recorder),this._recorder=null),this},getRecording:function(){return(this._recording||[]).map(function(t){return{op:t.op,args:t.args.slice()}})},getRecordingAsJS:function(t){return t=t||"matrix",(this._recording||[]).map(function(r){return t+"."+r.op+"("+r.args.map(function(t){return"number"!=typeof t||isFinite(t)?JSON.stringify(t):String(t)}).join(", ")+");"}).join("\n")},replay:function(t,r){var e,i,s=0;for(r=r||this._recording||[];e=r[s];s++){if(Matrix.recordable.indexOf(e.op)<0)throw new Error("Unsupported operation for replay: "+e.op);t instanceof Matrix?t=t[e.op].apply(t,e.args):"save"===e.op||"restore"===e.op?t[e.op]():((i=new Matrix)[e.op].apply(i,e.args),"setTransform"===e.op||"reset"===e.op?t.setTransform(i.a,i.b,i.c,i.d,i.e,i.f):t.transform(i.a,i.b,i.c,i.d,i.e,i.f))}return t},getStackDepth:function(){return this._stack.length},rotate:function(t){var r=Math.cos(t),e=Math.sin(t);return this.transform(r,e,-e,r,0,0),this},rotateDeg:function(t){return this.rotate(.017453292519943295*t),this},scale:function(t,r){return this.transform(t,0,0,r,0,0),this},scaleX:function(t){return this.transform(t,0,0,1,0,0),this},scaleY:function(t){return this.transform(1,0,0,t,0,0),this},skew:function(t,r){return this.transform(1,r,t,1,0,0),this},skewX:function(t){return this.transform(1,0,t,1,0,0),this},skewY:function(t){return this.transform(1,t,0,1,0,0),this},rotateAt:function(t,r,e){return this.translate(r,e).rotate(t).translate(-r,-e)},rotateDegAt:function(t,r,e){return this.rotateAt(.017453292519943295*t,r,e)},scaleAt:function(t,r,e,i){return this.translate(e,i).scale(t,r).translate(-e,-i)},skewAt:function(t,r,e,i){return this.translate(e,i).skew(t,r).translate(-e,-i)},flipXAt:function(t){return this.translate(t,0).flipX().translate(-t,0)},flipYAt:function(t){return this.translate(0,t).flipY().translate(0,-t)},setTransform:function(t,r,e,i,s,a){return this.a=t,this.b=r,this.c=e,this.d=i,this.e=s,this.f=a,this._setCtx(),this},copyFrom:function(t){return this.setTransform(t.a,t.b,t.c,t.d,t.e,t.f)},clone:function(){return(new Matrix).copyFrom(this)},toImmutable:function(){return new ImmutableMatrix(this.a,this.b,this.c,this.d,this.e,this.f)},translate:function(t,r){return this.transform(1,0,0,1,t,r),this},translateX:function(t){return this.transform(1,0,0,1,t,0),this},translateY:function(t){return this.transform(1,0,0,1,0,t),this},transform:function(t,r,e,i,s,a){var n=this.a,o=this.b,h=this.c,u=this.d,l=this.e,c=this.f;return this.a=n*t+h*r,this.b=o*t+u*r,this.c=n*e+h*i,this.d=o*e+u*i,this.e=n*s+h*a+l,this.f=o*s+u*a+c,this._setCtx(),this},applyCSS:function(t){var r,e,i,s,a,n=new Matrix,o=0;if(!(t=String(t).trim())||"none"===t.toLowerCase())return this;for(r=this._parseList(t);e=r[o];o++)switch(i=e.args,e.name.toLowerCase()){case"matrix":this._argCount(e,6,6),n.transform(this._cssValue(i[0],"number"),this._cssValue(i[1],"number"),this._cssValue(i[2],"number"),this._cssValue(i[3],"number"),this._cssValue(i[4],"number"),this._cssValue(i[5],"number"));break;case"translate":this._argCount(e,1,2),s=this._cssValue(i[0],"length"),n.translate(s,i.length>1?this._cssValue(i[1],"length"):0);break;case"translatex":this._argCount(e,1,1),n.translateX(this._cssValue(i[0],"length"));break;case"translatey":this._argCount(e,1,1),n.translateY(this._cssValue(i[0],"length"));break;case"scale":this._argCount(e,1,2),s=this._cssValue(i[0],"number"),n.scale(s,i.length>1?this._cssValue(i[1],"number"):s);break;case"scalex":this._argCount(e,1,1),n.scaleX(this._cssValue(i[0],"number"));break;case"scaley":this._argCount(e,1,1),n.scaleY(this._cssValue(i[0],"number"));break;case"rotate":this._argCount(e,1,1),n.rotate(this._cssValue(i[0],"angle"));break;case"skew":this._argCount(e,1,2),s=this._cssValue(i[0],"angle"),a=i.length>1?this._cssValue(i[1],"angle"):0,n.skew(Math.tan(s),Math.tan(a));break;case"skewx":this._argCount(e,1,1),n.skewX(Math.tan(this._cssValue(i[0],"angle")));break;case"skewy":this._argCount(e,1,1),n.skewY(Math.tan(this._cssValue(i[0],"angle")));break;case"matrix3d":case"translate3d":case"translatez":case"scale3d":case"scalez":case"rotate3d":case"rotatex":case"rotatey":case"rotatez":case"perspective":throw new Error("3D transform function not supported: "+e.name+"()");default:throw new Error("Unknown transform function: "+e.name+"()")}return this.transform(n.a,n.b,n.c,n.d,n.e,n.f)},applySVG:function(t){var r,e,i,s=new Matrix,a=0;if(!(t=String(t).trim()))return this;for(r=this._parseList(t,!0);e=r[a];a++)switch(i=e.args,e.name){case"matrix":this._argCount(e,6,6),s.transform(i[0],i[1],i[2],i[3],i[4],i[5]);break;case"translate":this._argCount(e,1,2),s.translate(i[0],i.length>1?i[1]:0);break;case"scale":this._argCount(e,1,2),s.scale(i[0],i.length>1?i[1]:i[0]);break;case"rotate":3===i.length?s.translate(i[1],i[2]).rotateDeg(i[0]).translate(-i[1],-i[2]):(this._argCount(e,1,1),s.rotateDeg(i[0]));break;case"skewX":this._argCount(e,1,1),s.skewX(Math.tan(.017453292519943295*i[0]));break;case"skewY":this._argCount(e,1,1),s.skewY(Math.tan(.017453292519943295*i[0]));break;default:throw new Error("Unknown transform function: "+e.name+"()")}return this.transform(s.a,s.b,s.c,s.d,s.e,s.f)},getInverse:function(t){var r,e=this.a,i=this.b,s=this.c,a=this.d,n=this.e,o=this.f,h=new Matrix,u=e*a-i*s;if(!this.isInvertible()){if("null"===t)return null;if("pseudo"!==t)throw new Error("Matrix is not invertible (determinant: "+u+")");return(r=e*e+i*i+s*s+a*a)?(h.a=e/r,h.b=s/r,h.c=i/r,h.d=a/r):h.a=h.d=0,h.e=-(h.a*n+h.c*o),h.f=-(h.b*n+h.d*o),h}return h.a=a/u,h.b=-i/u,h.c=-s/u,h.d=e/u,h.e=(s*o-a*n)/u,h.f=-(e*o-i*n)/u,h},determinant:function(){return this.a*this.d-this.b*this.c},isInvertible:function(){var t=this.a,r=this.b,e=this.c,i=this.d,s=this.determinant();return isFinite(s)&&isFinite(this.e)&&isFinite(this.f)&&Math.abs(s)>Matrix._rankEpsilon*(t*t+r*r+e*e+i*i)},interpolate:function(t,r){var e=new Matrix;return e.a=this.a+(t.a-this.a)*r,e.b=this.b+(t.b-this.b)*r,e.c=this.c+(t.c-this.c)*r,e.d=this.d+(t.d-this.d)*r,e.e=this.e+(t.e-this.e)*r,e.f=this.f+(t.f-this.f)*r,e},interpolateAnim:function(t,r){var e=this.decompose(),i=t.decompose(),s=i.rotation-e.rotation,a=Math.PI;return s>a?s-=2*a:s<-a&&(s+=2*a),Matrix.fromDecomposition({translateX:e.translateX+(i.translateX-e.translateX)*r,translateY:e.translateY+(i.translateY-e.translateY)*r,rotation:e.rotation+s*r,scaleX:e.scaleX+(i.scaleX-e.scaleX)*r,scaleY:e.scaleY+(i.scaleY-e.scaleY)*r,skewX:e.skewX+(i.skewX-e.skewX)*r})},decompose:function(){var t=this.a,r=this.b,e=this.c,i=this.d,s=Math.sqrt(t*t+r*r),a=0,n=0,o=0;return s?(n=Math.atan2(r,t),a=(t*i-r*e)/s,o=Math.atan((t*e+r*i)/(s*s))):(e||i)&&(a=Math.sqrt(e*e+i*i),n=Math.atan2(-e,i)),{translateX:this.e,translateY:this.f,rotation:n,scaleX:s,scaleY:a,skewX:o}},applyToPoint:function(t,r,e){var i=t*this.a+r*this.c+this.e,s=t*this.b+r*this.d+this.f;return e?(e.x=i,e.y=s,e):{x:i,y:s}},applyToArray:function(t){return this._mapArray(t,this.applyToPoint)},applyToTypedArray:function(t,r){for(var e,i,s=0,a=t.length,n=!0===r?new Float64Array(a):r||new Float32Array(a);s<a;)e=t[s],i=t[s+1],n[s++]=e*this.a+i*this.c+this.e,n[s++]=e*this.b+i*this.d+this.f;return n},applyToVector:function(t,r,e){return(e=e||{}).x=t*this.a+r*this.c,e.y=t*this.b+r*this.d,e},applyToNormal:function(t,r,e,i){var s,a=this.determinant(),n=t*this.d-r*this.b,o=r*this.a-t*this.c;if(e)(s=Math.sqrt(n*n+o*o))&&(a<0&&(s=-s),n/=s,o/=s);else{if(!this.isInvertible())throw new Error("Matrix is not invertible (determinant: "+a+")");n/=a,o/=a}return(i=i||{}).x=n,i.y=o,i},applyToVectorArray:function(t){return this._mapArray(t,this.applyToVector)},applyToNormalArray:function(t,r){return this._mapArray(t,function(t,e){return this.applyToNormal(t,e,r)})},applyToVectorTypedArray:function(t,r){return this._mapTypedArray(t,r,this.applyToVector)},applyToNormalTypedArray:function(t,r,e){return this._mapTypedArray(t,e,function(t,e,i){return this.applyToNormal(t,e,r,i)})},applyToBuffer:function(t,r){for(var e,i,s=(r=r||{}).stride||2,a=r.offset||0,n="number"==typeof r.count?r.count:t.length-a<2?0:Math.floor((t.length-a-2)/s)+1,o=r.out||t,h=r.outStride||s,u="number"==typeof r.outOffset?r.outOffset:o===t?a:0;n--;)e=t[a],i=t[a+1],o[u]=e*this.a+i*this.c+this.e,o[u+1]=e*this.b+i*this.d+this.f,a+=s,u+=h;return o},applyToArraysXY:function(t,r,e,i){var s,a,n=0,o=Math.min(t.length,r.length);for(e=e||t,i=i||r;n<o;n++)s=t[n],a=r[n],e[n]=s*this.a+a*this.c+this.e,i[n]=s*this.b+a*this.d+this.f;return[e,i]},applyToRect:function(t){var r=t.x,e=t.y,i=r+t.width,s=e+t.height;return[this.applyToPoint(r,e),this.applyToPoint(i,e),this.applyToPoint(i,s),this.applyToPoint(r,s)]},getBounds:function(t){for(var r,e=this.applyToRect(t),i=e[0].x,s=e[0].y,a=i,n=s,o=1;r=e[o];o++)r.x<i?i=r.x:r.x>a&&(a=r.x),r.y<s?s=r.y:r.y>n&&(n=r.y);return{x:i,y:s,width:a-i,height:n-s}},getInverseBounds:function(t){return this.getInverse().getBounds(t)},applyToEllipse:function(t){var r=this.applyToPoint(t.cx,t.cy),e=this._ellipseRadii(t.rx,t.ry,t.rotation||0);return{cx:r.x,cy:r.y,rx:e[0],ry:e[1],rotation:e[2]}},applyEllipseToContext:function(t,r){var e=this.applyToEllipse(t);if(!(r=r||this.context))throw new Error("No context to apply ellipse to");return r.save(),r.setTransform(1,0,0,1,0,0),r.ellipse(e.cx,e.cy,e.rx,e.ry,e.rotation,0,2*Math.PI),r.restore(),this},applyToPath:function(t,r){var e,i,s,a,n,o,h=this,u=this._parsePath(t),l="",c="",f=0,p=0,m=0,d=0,x=this.a*this.d-this.b*this.c<0,b=0;function _(t,e){var i,s=0,a=!0;for(t===c&&"M"!==t||(l+=t,c=t,a=!1);s<e.length;s++)i=h._num(e[s],r).replace(/^(-?)0\./,"$1."),a&&"-"!==i.charAt(0)&&(l+=" "),l+=i,a=!0}function y(t,r){var e=h.applyToPoint(t,r);return[e.x,e.y]}for(;e=u[b];b++){if(s=(i=e[0].toUpperCase())===e[0],a=e.slice(1),!s)if("H"===i)a[0]+=f;else if("V"===i)a[0]+=p;else if("A"===i)a[5]+=f,a[6]+=p;else for(n=0;n<a.length;n+=2)a[n]+=f,a[n+1]+=p;switch(i){case"M":m=a[0],d=a[1],_("M",y(a[0],a[1]));break;case"L":case"C":case"S":case"Q":case"T":for(n=0,o=[];n<a.length;n+=2)o=o.concat(y(a[n],a[n+1]));_(i,o);break;case"H":o=y((a=[a[0],p])[0],a[1]),this._isEqual(this.b,0)?_("H",[o[0]]):this._isEqual(this.a,0)?_("V",[o[1]]):_("L",o);break;case"V":o=y((a=[f,a[0]])[0],a[1]),this._isEqual(this.c,0)?_("V",[o[1]]):this._isEqual(this.d,0)?_("H",[o[0]]):_("L",o);break;case"A":_("A",[(o=this._ellipseRadii(a[0],a[1],.017453292519943295*a[2]))[0],o[1],o[2]/.017453292519943295,a[3]?1:0,(a[4]?!x:x)?1:0].concat(y(a[5],a[6])));break;case"Z":a=[m,d],_("Z",[])}f=a[a.length-2],p=a[a.length-1]}return l},_ellipseRadii:function(t,r,e){var i=Math.cos(e),s=Math.sin(e),a=(this.a*i+this.c*s)*t,n=(this.c*i-this.a*s)*r,o=(this.b*i+this.d*s)*t,h=(this.d*i-this.b*s)*r,u=a*a+n*n,l=a*o+n*h,c=o*o+h*h,f=.5*(u+c),p=Math.sqrt((u-c)*(u-c)*.25+l*l),m=Math.sqrt(f+p),d=Math.sqrt(Math.max(0,f-p)),x=.5*Math.atan2(2*l,u-c),b=Math.abs(x-Math.atan2(o,a))%Math.PI;return b>.25*Math.PI&&b<.75*Math.PI?[d,m,x>0?x-.5*Math.PI:x+.5*Math.PI]:[m,d,x]},_parsePath:function(t){var r,e,i,s,a,n={M:2,L:2,H:1,V:1,C:6,S:4,Q:4,T:2,A:7,Z:0},o=/^[\s,]*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/,h=/^[\s,]*([01])/,u=/^\s*([MmZzLlHhVvCcSsQqTtAa])/,l=[];for(t=String(t);!/^\s*$/.test(t);){if(!(s=u.exec(t)))throw new Error('Malformed path data at: "'+t+'"');e=n[(r=s[1]).toUpperCase()],t=t.substr(s[0].length);do{for(i=[r],a=0;a<e;a++){if(!(s="A"!==r&&"a"!==r||3!==a&&4!==a?o.exec(t):h.exec(t)))throw new Error("Malformed path data, expected number for "+r+' at: "'+t+'"');i.push(parseFloat(s[1])),t=t.substr(s[0].length)}l.push(i),"M"===r?r="L":"m"===r&&(r="l")}while(e&&o.test(t))}return l},applyToContext:function(t){return t.setTransform(this.a,this.b,this.c,this.d,this.e,this.f),this},isIdentity:function(t){return this._isEqual(this.a,1,t)&&this._isEqual(this.b,0,t)&&this._isEqual(this.c,0,t)&&this._isEqual(this.d,1,t)&&this._isEqual(this.e,0,t,!0)&&this._isEqual(this.f,0,t,!0)},isTranslationOnly:function(t){return this._isEqual(this.a,1,t)&&this._isEqual(this.b,0,t)&&this._isEqual(this.c,0,t)&&this._isEqual(this.d,1,t)},isAxisAligned:function(t){return this._isEqual(this.b,0,t)&&this._isEqual(this.c,0,t)||this._isEqual(this.a,0,t)&&this._isEqual(this.d,0,t)},isRigid:function(t){return this.isSimilarity(t)&&this._isEqual(this.a*this.a+this.b*this.b,1,t)},isSimilarity:function(t){var r=this.a,e=this.b,i=this.c,s=this.d;return this._isEqual(r*i+e*s,0,t)&&this._isEqual(r*r+e*e,i*i+s*s,t)&&this.isInvertible()},isUniformScale:function(t){return this._isEqual(this.a,this.d,t)&&this._isEqual(this.b,0,t)&&this._isEqual(this.c,0,t)},hasReflection:function(t){var r=this.determinant();return r<0&&!this._isEqual(r,0,t)},getFixedPoint:function(t){var r=1-this.a,e=-this.b,i=-this.c,s=1-this.d,a=r*s-e*i;return this._isEqual(a,0,t)?null:{x:(s*this.e-i*this.f)/a,y:(r*this.f-e*this.e)/a}},isEqual:function(t,r){return this._isEqual(this.a,t.a,r)&&this._isEqual(this.b,t.b,r)&&this._isEqual(this.c,t.c,r)&&this._isEqual(this.d,t.d,r)&&this._isEqual(this.e,t.e,r,!0)&&this._isEqual(this.f,t.f,r,!0)},toCSS:function(t,r){return"matrix("+this._toStrings(t,r).join(", ")+")"},toSVG:function(t,r){return"matrix("+this._toStrings(t,r).join(" ")+")"},_mapArray:function(t,r){var e,i,s=0,a=[];if("number"==typeof t[0])for(i=t.length;s<i;)e=r.call(this,t[s++],t[s++]),a.push(e.x,e.y);else for(;e=t[s];s++)a.push(r.call(this,e.x,e.y));return a},_mapTypedArray:function(t,r,e){for(var i=0,s={},a=t.length,n=!0===r?new Float64Array(a):r||new Float32Array(a);i<a;)e.call(this,t[i],t[i+1],s),n[i++]=s.x,n[i++]=s.y;return n},_toStrings:function(t,r){return[this._num(this.a,t,r),this._num(this.b,t,r),this._num(this.c,t,r),this._num(this.d,t,r),this._num(this.e,t,r),this._num(this.f,t,r)]},_num:function(t,r,e){var i,s,a,n;if(!isFinite(t))throw new Error("Can not serialize non-finite value: "+t);return Math.abs(t)<=Matrix.epsilon&&(t=0),i="number"==typeof r?t.toFixed(r):String(t),(s=/^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(i))&&(a=s[2]+(s[3]||""),i=(n=+s[4])<0?"0."+new Array(-n).join("0")+a:a.length>n+1?a.substr(0,n+1)+"."+a.substr(n+1):a+new Array(n+2-a.length).join("0"),i=s[1]+i),"number"==typeof r&&!1!==e&&i.indexOf(".")>-1&&(i=i.replace(/\.?0+$/,"")),0===+i&&(i=i.replace("-","")),i},_parseList:function(t,r){for(var e,i,s=/\s*([a-zA-Z0-9]+)\s*\(([^()]*)\)\s*/g,a=[],n=0;n<t.length;){if(r&&a.length&&(e=/^,\s*/.exec(t.substr(n)))&&(n+=e[0].length)===t.length)throw new Error("Malformed transform list, trailing comma");if(s.lastIndex=n,!(e=s.exec(t))||e.index!==n)throw new Error('Malformed transform list at: "'+t.substr(n)+'"');i=e[2].trim(),a.push({name:e[1],args:r?this._svgArgs(i):i?i.split(/\s*,\s*/):[]}),n=s.lastIndex}return a},_svgArgs:function(t){for(var r,e=/^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?:\s*,\s*|\s+)?/,i=[];t.length;){if(!(r=e.exec(t)))throw new Error('Invalid value: "'+t+'"');if(i.push(parseFloat(r[1])),!(t=t.substr(r[0].length))&&/,\s*$/.test(r[0]))throw new Error("Invalid value: trailing comma")}return i},_argCount:function(t,r,e){var i=t.args.length;if(i<r||i>e)throw new Error("Wrong number of arguments for "+t.name+"(): "+i)},_cssValue:function(t,r){var e,i,s=/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i.exec(t);if(!s)throw new Error('Invalid value: "'+t+'"');if(e=parseFloat(s[1]),!(i=s[2].toLowerCase())&&("number"===r||0===e))return e;if("length"===r&&"px"===i)return e;if("angle"===r)switch(i){case"deg":return.017453292519943295*e;case"rad":return e;case"grad":return e*Math.PI/200;case"turn":return 2*e*Math.PI}throw new Error("Unsupported unit for "+r+': "'+t+'"')},_isEqual:function(t,r,e,i){return"number"!=typeof e&&(e=Matrix.epsilon),i&&(e*=Math.max(1,Math.abs(t),Math.abs(r))),Math.abs(t-r)<=e},_setCtx:function(){var t=this;this.context&&this.context.setTransform(this.a,this.b,this.c,this.d,this.e,this.f),this._listeners.length&&!this._pending&&(this._pending=!0,Matrix._defer(function(){t._emit()}))},_addOpObserver:function(t){var r=this,e=Matrix.recordable,i=0;if(!this._opObservers)for(this._opObservers=[],this._opDepth=0;i<e.length;i++)this[e[i]]=s(e[i]);function s(t){return function(){var e,i,s=r._opObservers.slice(),a=!r._opDepth;if(a)for(i=0;i<s.length;i++)s[i].before&&s[i].before(t,arguments);r._opDepth++;try{e=Matrix.prototype[t].apply(r,arguments)}finally{r._opDepth--}if(a)for(i=0;i<s.length;i++)s[i].after&&s[i].after(t,arguments);return e}}this._opObservers.push(t)},_removeOpObserver:function(t){var r=Matrix.recordable,e=this._opObservers?this._opObservers.indexOf(t):-1;if(!(e<0||(this._opObservers.splice(e,1),this._opObservers.length)))for(this._opObservers=null,e=0;e<r.length;e++)delete this[r[e]]},_emit:function(){var t=this._listeners.slice(),r=0;for(this._pending=!1;r<t.length;r++)try{t[r].call(this,this)}catch(t){Matrix._rethrow(t)}}},Matrix.epsilon=1e-14,Matrix._rankEpsilon=1e-14,Matrix.recordable=["flipX","flipY","reset","rotate","rotateDeg","scale","scaleX","scaleY","skew","skewX","skewY","rotateAt","rotateDegAt","scaleAt","skewAt","flipXAt","flipYAt","setTransform","copyFrom","translate","translateX","translateY","transform","applyCSS","applySVG","save","restore"],Matrix._defer="function"==typeof Promise?function(t){Promise.resolve().then(t)}:function(t){setTimeout(t,0)},Matrix._rethrow=function(t){setTimeout(function(){throw t},0)},Matrix.fromDecomposition=function(t,r){return new Matrix(r).translate(t.translateX,t.translateY).rotate(t.rotation).scale(t.scaleX,t.scaleY).skewX(Math.tan(t.skewX))},Matrix.fromCSS=function(t,r){return new Matrix(r).applyCSS(t)},Matrix.fromSVG=function(t,r){return new Matrix(r).applySVG(t)},Matrix.fromTriangles=function(t,r,e){var i,s=(new Matrix).setTransform(t[1].x-t[0].x,t[1].y-t[0].y,t[2].x-t[0].x,t[2].y-t[0].y,t[0].x,t[0].y),a=new Matrix(e).setTransform(r[1].x-r[0].x,r[1].y-r[0].y,r[2].x-r[0].x,r[2].y-r[0].y,r[0].x,r[0].y),n=s.determinant();if(!n||Math.abs(n)<=Matrix._rankEpsilon*(s.a*s.a+s.b*s.b+s.c*s.c+s.d*s.d))throw new Error("Degenerate triangle, source points are collinear");return i=s.getInverse(),a.transform(i.a,i.b,i.c,i.d,i.e,i.f)},Matrix.fit=function(t,r,e){var i,s,a,n,o,h,u,l,c,f,p=(e=e||{}).model||"affine",m=e.weights,d=Matrix._fitMinPoints[p],x=t.length,b=new Matrix,_=0,y=0,g=0,M=0,w=0,v=0,E=0,k=0,T=0,A=0,I=0,q=0,C=[],S=0;if(!d)throw new Error("Unknown model: "+p);if(r.length!==x)throw new Error("Source and destination must have the same number of points");if(x<d)throw new Error("Model "+p+" needs at least "+d+" point pairs");for(i=0;i<x;i++)_+=s=m?m[i]:1,y+=s*t[i].x,g+=s*t[i].y,M+=s*r[i].x,w+=s*r[i].y;if(!(_>0))throw new Error("Sum of weights must be positive");for(y/=_,g/=_,M/=_,w/=_,i=0;i<x;i++)v+=(s=m?m[i]:1)*(a=t[i].x-y)*a,E+=s*a*(n=t[i].y-g),k+=s*n*n,T+=s*(o=r[i].x-M)*a,A+=s*o*n,I+=s*(h=r[i].y-w)*a,q+=s*h*n;if("affine"===p){if(!(u=v*k-E*E)||Math.abs(u)<Matrix._rankEpsilon*(v+k)*(v+k))throw new Error("Degenerate input, source points are collinear");b.a=(T*k-A*E)/u,b.b=(I*k-q*E)/u,b.c=(A*v-T*E)/u,b.d=(q*v-I*E)/u}else if("translation"!==p){if(l=Math.atan2(I-A,T+q),c=1,"similarity"===p){if(!(v+k))throw new Error("Degenerate input, source points are identical");c=Math.sqrt((T+q)*(T+q)+(I-A)*(I-A))/(v+k)}b.a=b.d=Math.cos(l)*c,b.b=Math.sin(l)*c,b.c=-b.b}for(b.e=M-b.a*y-b.c*g,b.f=w-b.b*y-b.d*g,i=0;i<x;i++)o=(f=b.applyToPoint(t[i].x,t[i].y)).x-r[i].x,h=f.y-r[i].y,C.push(Math.sqrt(o*o+h*h)),S+=o*o+h*h;return{matrix:b,residuals:C,rms:Math.sqrt(S/x)}},Matrix._fitMinPoints={affine:3,similarity:2,rigid:2,translation:1},Matrix.fitRobust=function(t,r,e){var i,s,a,n,o,h,u,l,c,f,p,m=(e=e||{}).model||"affine",d="number"==typeof e.threshold?e.threshold:1,x=e.iterations||1e3,b=Matrix._random(e.seed||1),_=Matrix._fitMinPoints[m],y=t.length,g=null,M=-1,w=1/0;if(!_)throw new Error("Unknown model: "+m);if(r.length!==y)throw new Error("Source and destination must have the same number of points");if(y<_)throw new Error("Model "+m+" needs at least "+_+" point pairs");for(u=0;u<x;u++){for(a=[],n=[],o={};a.length<_;)o[c=Math.floor(b()*y)]||(o[c]=!0,a.push(t[c]),n.push(r[c]));try{h=Matrix.fit(a,n,{model:m})}catch(t){continue}for(f=0,p=0,l=0;l<y;l++)(c=Matrix._distance(h.matrix,t[l],r[l]))<=d&&(f++,p+=c*c);(f>M||f===M&&p<w)&&(g=h.matrix,M=f,w=p)}if(!g)throw new Error("No model found, input is degenerate");for(i=[],s=[],l=0;l<y;l++)Matrix._distance(g,t[l],r[l])<=d&&(i.push(t[l]),s.push(r[l]));try{g=Matrix.fit(i,s,{model:m}).matrix}catch(t){}for(h={matrix:g,inliers:[],residuals:[],rms:0},l=f=p=0;l<y;l++)c=Matrix._distance(g,t[l],r[l]),h.residuals.push(c),h.inliers.push(c<=d),c<=d&&(f++,p+=c*c);return h.rms=f?Math.sqrt(p/f):0,h},Matrix._distance=function(t,r,e){var i=t.applyToPoint(r.x,r.y),s=i.x-e.x,a=i.y-e.y;return Math.sqrt(s*s+a*a)},Matrix._random=function(t){return t=Math.abs(Math.floor(t))%2147483647||1,function(){return((t=16807*t%2147483647)-1)/2147483646}},ImmutableMatrix.prototype=Object.create(Matrix.prototype),ImmutableMatrix.prototype.constructor=ImmutableMatrix,ImmutableMatrix.prototype.toMatrix=function(t){return new Matrix(t).copyFrom(this)},ImmutableMatrix.prototype.toImmutable=function(){return this},ImmutableMatrix.prototype.save=ImmutableMatrix.prototype.restore=function(){throw new Error("ImmutableMatrix has no state stack")},ImmutableMatrix.prototype.on=ImmutableMatrix.prototype.off=function(){return this},ImmutableMatrix.prototype.startRecording=function(){throw new Error("ImmutableMatrix can not record operations")},ImmutableMatrix.prototype._addOpObserver=function(){throw new Error("ImmutableMatrix can not be tracked by MatrixHistory")},ImmutableMatrix.prototype.getStackDepth=function(){return 0},ImmutableMatrix.methods=Matrix.recordable.filter(function(t){return"save"!==t&&"restore"!==t}).concat(["clone","getInverse","interpolate","interpolateAnim"]),ImmutableMatrix.methods.forEach(function(t){ImmutableMatrix.prototype[t]=function(){var r=(new Matrix).copyFrom(this),e=Matrix.prototype[t].apply(r,arguments);return e instanceof Matrix?e.toImmutable():e}});
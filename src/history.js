@@ -0,0 +1,192 @@
+/*!
+ * Transformation Matrix JS v1.6 (c) Epistemex 2014
+ * www.epistemex.com
+ * License: MIT, this header required.
+*/
+
+/**
+ * Undo/redo history for a Matrix. Each operation called on the matrix
+ * (see Matrix.recordable) becomes one undo step, unless operations are
+ * grouped with beginGroup() and endGroup(), ie. for an entire drag.
+ * Requires matrix.js.
+ *
+ * Undo and redo set the matrix with setTransform() so a synced context
+ * follows. Direct changes of the a-f properties are not tracked, and
+ * the state stack of save()/restore() is not part of the history.
+ *
+ * Throws for an ImmutableMatrix as it never changes.
+ *
+ * @param {Matrix} matrix - matrix to track
+ * @param {number} [maxLength=100] - max number of undo steps
+ * @prop {Matrix} matrix - the tracked matrix
+ * @prop {number} maxLength - max number of undo steps
+ * @constructor
+ */
+function MatrixHistory(matrix, maxLength) {
+
+	var me = this;
+
+	this.matrix = matrix;
+	this.maxLength = maxLength || 100;
+
+	this._undo = [];
+	this._redo = [];
+	this._group = 0;
+	this._groupState = null;
+	this._pending = null;
+	this._busy = false;
+
+	this._observer = {
+		before: function() {
+			me._pending = (!me._busy && !me._group) ? me._getState() : null;
+		},
+		after: function() {
+			if (me._pending) {
+				me._push(me._pending);
+				me._pending = null;
+			}
+		}
+	};
+
+	matrix._addOpObserver(this._observer);
+}
+
+MatrixHistory.prototype = {
+
+	/**
+	 * Reverts the last step. Does nothing if there is nothing to undo.
+	 * Throws if a group is open (see beginGroup()).
+	 */
+	undo: function() {
+		var state;
+
+		if (this._group) throw new Error('Can not undo while a group is open');
+
+		state = this._undo.pop();
+		if (state) {
+			this._redo.push(this._getState());
+			this._setState(state);
+		}
+		return this;
+	},
+
+	/**
+	 * Re-applies the last undone step. Does nothing if there is nothing
+	 * to redo. Throws if a group is open (see beginGroup()).
+	 */
+	redo: function() {
+		var state;
+
+		if (this._group) throw new Error('Can not redo while a group is open');
+
+		state = this._redo.pop();
+		if (state) {
+			this._undo.push(this._getState());
+			this._setState(state);
+		}
+		return this;
+	},
+
+	/**
+	 * Returns true if there is a step to undo.
+	 * @returns {boolean}
+	 */
+	canUndo: function() {
+		return this._undo.length > 0;
+	},
+
+	/**
+	 * Returns true if there is a step to redo.
+	 * @returns {boolean}
+	 */
+	canRedo: function() {
+		return this._redo.length > 0;
+	},
+
+	/**
+	 * Starts grouping operations into one undo step until endGroup() is
+	 * called. Groups can be nested, the outermost group makes the step.
+	 */
+	beginGroup: function() {
+		if (!this._group++) this._groupState = this._getState();
+		return this;
+	},
+
+	/**
+	 * Ends a group started with beginGroup(). If the matrix changed
+	 * during the group it becomes one undo step.
+	 */
+	endGroup: function() {
+		if (this._group && !--this._group) {
+			this._push(this._groupState);
+			this._groupState = null;
+		}
+		return this;
+	},
+
+	/**
+	 * Removes all undo and redo steps.
+	 */
+	clear: function() {
+		this._undo = [];
+		this._redo = [];
+		return this;
+	},
+
+	/**
+	 * Stops tracking the matrix.
+	 */
+	destroy: function() {
+		this.matrix._removeOpObserver(this._observer);
+		return this.clear();
+	},
+
+	/**
+	 * Adds an undo step if state differs from current state, and clears
+	 * the redo steps.
+	 * @param {Array} state - state before the change
+	 * @private
+	 */
+	_push: function(state) {
+
+		var current = this._getState(),
+			i = 0;
+
+		for(; i < 6; i++) {
+			if (state[i] !== current[i]) break;
+		}
+
+		if (i === 6) return;	// no change
+
+		this._undo.push(state);
+		this._redo = [];
+
+		if (this._undo.length > this.maxLength)
+			this._undo.splice(0, this._undo.length - this.maxLength);
+	},
+
+	/**
+	 * @returns {Array} current a-f values of the matrix
+	 * @private
+	 */
+	_getState: function() {
+		var m = this.matrix;
+		return [m.a, m.b, m.c, m.d, m.e, m.f];
+	},
+
+	/**
+	 * Sets the matrix (and synced context) to a state without adding
+	 * an undo step.
+	 * @param {Array} state - a-f values
+	 * @private
+	 */
+	_setState: function(state) {
+		this._busy = true;
+		try {
+			this.matrix.setTransform(state[0], state[1], state[2], state[3], state[4], state[5]);
+		}
+		finally {
+			this._busy = false;
+		}
+	}
+};
@@ -1,5 +1,5 @@
 /*!
- * Transformation Matrix JS v1.5 (c) Epistemex 2014
+ * Transformation Matrix JS v1.6 (c) Epistemex 2014
  * www.epistemex.com
  * License: MIT, this header required.
 */
@@ -32,6 +32,9 @@ function Matrix(context) {
 	this.e = 0;
 	this.f = 0;
 	this.context = context || null;
+	this._stack = [];
+	this._listeners = [];
+	this._pending = false;
 
 	// reset canvas transformations (if any) to enable 100% sync.
 	if (context) context.setTransform(1, 0, 0, 1, 0, 0);
@@ -65,6 +68,193 @@ Matrix.prototype = {
 		return this;
 	},
 
+	/**
+	 * Pushes current matrix state onto a stack. If a context is synced
+	 * the context's save() is called as well so both stacks are kept in
+	 * lockstep.
+	 */
+	save: function() {
+		this._stack.push([this.a, this.b, this.c, this.d, this.e, this.f]);
+		if (this.context) this.context.save();
+		return this;
+	},
+
+	/**
+	 * Pops last saved matrix state from the stack and makes it current.
+	 * If a context is synced the context's restore() is called as well.
+	 * Does nothing if the stack is empty (as with the canvas).
+	 */
+	restore: function() {
+
+		var m = this._stack.pop();
+
+		if (m) {
+			this.a = m[0];
+			this.b = m[1];
+			this.c = m[2];
+			this.d = m[3];
+			this.e = m[4];
+			this.f = m[5];
+
+			if (this.context) this.context.restore();
+			this._setCtx();
+		}
+
+		return this;
+	},
+
+	/**
+	 * Adds a listener which is called when the matrix is modified. The
+	 * listener is called with the matrix as argument.
+	 *
+	 * Notifications are batched: the listener is called once,
+	 * asynchronously, after all modifications in the same run of code,
+	 * so a chain such as rotate().translate().scale() notifies once.
+	 *
+	 * @param {string} type - event type, only "change" is supported
+	 * @param {function} fn - listener
+	 */
+	on: function(type, fn) {
+		if (type !== 'change') throw new Error('Unsupported event type: ' + type);
+		if (this._listeners.indexOf(fn) < 0) this._listeners.push(fn);
+		return this;
+	},
+
+	/**
+	 * Removes a listener added with on().
+	 * @param {string} type - event type, only "change" is supported
+	 * @param {function} fn - listener
+	 */
+	off: function(type, fn) {
+		var i = this._listeners.indexOf(fn);
+		if (type === 'change' && i > -1) this._listeners.splice(i, 1);
+		return this;
+	},
+
+	/**
+	 * Starts recording operations (rotate, translate, skew, etc.) called
+	 * on this matrix, clearing any previous recording. Only the calls
+	 * made from outside are recorded, not the operations a method uses
+	 * internally. See Matrix.recordable for recorded methods.
+	 */
+	startRecording: function() {
+
+		var me = this;
+
+		this.stopRecording();
+		this._recording = [];
+
+		this._recorder = {
+			after: function(name, args) {
+				// store copied values, not a reference to the other matrix
+				if (name === 'copyFrom') {
+					name = 'setTransform';
+					args = [me.a, me.b, me.c, me.d, me.e, me.f];
+				}
+				else {
+					args = Array.prototype.slice.call(args);
+				}
+				me._recording.push({op: name, args: args});
+			}
+		};
+
+		this._addOpObserver(this._recorder);
+
+		return this;
+	},
+
+	/**
+	 * Stops recording operations. The recording is kept.
+	 */
+	stopRecording: function() {
+
+		if (this._recorder) {
+			this._removeOpObserver(this._recorder);
+			this._recorder = null;
+		}
+
+		return this;
+	},
+
+	/**
+	 * Get the recorded operations as an array with {op: string, args: Array}
+	 * objects, ie. to store it as JSON.
+	 * @returns {Array}
+	 */
+	getRecording: function() {
+		return (this._recording || []).map(function(rec) {
+			return {op: rec.op, args: rec.args.slice()};
+		});
+	},
+
+	/**
+	 * Get the recorded operations as JavaScript source, one statement
+	 * per line, ie. "matrix.rotate(0.7);".
+	 * @param {string} [name="matrix"] - variable name to use
+	 * @returns {string}
+	 */
+	getRecordingAsJS: function(name) {
+
+		name = name || 'matrix';
+
+		return (this._recording || []).map(function(rec) {
+			return name + '.' + rec.op + '(' + rec.args.map(function(arg) {
+				// JSON has no NaN or Infinity
+				return typeof arg === 'number' && !isFinite(arg) ? String(arg) : JSON.stringify(arg);
+			}).join(', ') + ');';
+		}).join('\n');
+	},
+
+	/**
+	 * Replays recorded operations on another matrix or a canvas context.
+	 * When replayed on a context, operations the context does not have
+	 * are applied as the equivalent transform() or setTransform().
+	 * Throws for operations not in Matrix.recordable.
+	 *
+	 * @param {Matrix|CanvasRenderingContext2D} target - matrix or context to replay on
+	 * @param {Array} [ops] - operations as returned by getRecording(), default is this recording
+	 * @returns {Matrix|CanvasRenderingContext2D} The target. For an ImmutableMatrix
+	 * the final new matrix is returned.
+	 */
+	replay: function(target, ops) {
+
+		var i = 0, rec, m;
+
+		ops = ops || this._recording || [];
+
+		for(; rec = ops[i]; i++) {
+
+			if (Matrix.recordable.indexOf(rec.op) < 0)
+				throw new Error('Unsupported operation for replay: ' + rec.op);
+
+			if (target instanceof Matrix) {
+				target = target[rec.op].apply(target, rec.args);
+			}
+			else if (rec.op === 'save' || rec.op === 'restore') {
+				target[rec.op]();
+			}
+			else {
+				m = new Matrix();
+				m[rec.op].apply(m, rec.args);
+
+				if (rec.op === 'setTransform' || rec.op === 'reset')
+					target.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+				else
+					target.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+			}
+		}
+
+		return target;
+	},
+
+	/**
+	 * Returns number of states currently saved on the stack.
+	 * @returns {number}
+	 */
+	getStackDepth: function() {
+		return this._stack.length;
+	},
+
 	/**
 	 * Rotates current matrix accumulative by angle.
 	 * @param {number} angle - angle in radians
@@ -141,6 +331,68 @@ Matrix.prototype = {
 		return this;
 	},
 
+	/**
+	 * Rotates current matrix accumulative by angle around a pivot point.
+	 * The pivot point is given in the current (local) coordinate system.
+	 * @param {number} angle - angle in radians
+	 * @param {number} px - pivot point x
+	 * @param {number} py - pivot point y
+	 */
+	rotateAt: function(angle, px, py) {
+		return this.translate(px, py).rotate(angle).translate(-px, -py);
+	},
+
+	/**
+	 * Rotates current matrix accumulative by angle in degrees around a
+	 * pivot point. See rotateAt().
+	 * @param {number} angle - angle in degrees
+	 * @param {number} px - pivot point x
+	 * @param {number} py - pivot point y
+	 */
+	rotateDegAt: function(angle, px, py) {
+		return this.rotateAt(angle * 0.017453292519943295, px, py);
+	},
+
+	/**
+	 * Scales current matrix accumulative around a pivot point. See
+	 * rotateAt().
+	 * @param {number} sx - scale factor x (1 does nothing)
+	 * @param {number} sy - scale factor y (1 does nothing)
+	 * @param {number} px - pivot point x
+	 * @param {number} py - pivot point y
+	 */
+	scaleAt: function(sx, sy, px, py) {
+		return this.translate(px, py).scale(sx, sy).translate(-px, -py);
+	},
+
+	/**
+	 * Apply skew to the current matrix accumulative around a pivot point.
+	 * See rotateAt().
+	 * @param {number} sx - amount of skew for x
+	 * @param {number} sy - amount of skew for y
+	 * @param {number} px - pivot point x
+	 * @param {number} py - pivot point y
+	 */
+	skewAt: function(sx, sy, px, py) {
+		return this.translate(px, py).skew(sx, sy).translate(-px, -py);
+	},
+
+	/**
+	 * Flips the horizontal values around a vertical line at x.
+	 * @param {number} px - x position of the line
+	 */
+	flipXAt: function(px) {
+		return this.translate(px, 0).flipX().translate(-px, 0);
+	},
+
+	/**
+	 * Flips the vertical values around a horizontal line at y.
+	 * @param {number} py - y position of the line
+	 */
+	flipYAt: function(py) {
+		return this.translate(0, py).flipY().translate(0, -py);
+	},
+
 	/**
 	 * Set current matrix to new absolute matrix.
 	 * @param {number} a - scale x
@@ -162,6 +414,31 @@ Matrix.prototype = {
 		return this;
 	},
 
+	/**
+	 * Set current matrix to the values of another matrix.
+	 * @param {Matrix} m - matrix to copy values from
+	 */
+	copyFrom: function(m) {
+		return this.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+	},
+
+	/**
+	 * Get a new matrix with the same values as current matrix.
+	 * Context from parent matrix is not applied to the returned matrix.
+	 * @returns {Matrix}
+	 */
+	clone: function() {
+		return new Matrix().copyFrom(this);
+	},
+
+	/**
+	 * Get an immutable copy of current matrix.
+	 * @returns {ImmutableMatrix}
+	 */
+	toImmutable: function() {
+		return new ImmutableMatrix(this.a, this.b, this.c, this.d, this.e, this.f);
+	},
+
 	/**
 	 * Translate current matrix accumulative.
 	 * @param {number} tx - translation for x
@@ -225,13 +502,211 @@ Matrix.prototype = {
 		return this;
 	},
 
+	/**
+	 * Multiplies current matrix with the transforms in a CSS transform
+	 * string, for example:
+	 *
+	 * "translate(10px, 5px) rotate(45deg) scale(2)"
+	 *
+	 * All 2D transform functions are supported: matrix, translate,
+	 * translateX, translateY, scale, scaleX, scaleY, rotate, skew, skewX
+	 * and skewY. Lengths must be given in px and angles in deg, rad, grad
+	 * or turn. The keyword "none" is accepted as an identity transform.
+	 *
+	 * An error is thrown for 3D transform functions, unsupported units or
+	 * malformed input. The matrix is left untouched in that case.
+	 *
+	 * @param {string} css - CSS transform string
+	 */
+	applyCSS: function(css) {
+
+		var m = new Matrix(),
+			list, op, args, i = 0, x, y;
+
+		css = String(css).trim();
+		if (!css || css.toLowerCase() === 'none') return this;
+
+		list = this._parseList(css);
+
+		for(; op = list[i]; i++) {
+
+			args = op.args;
+
+			switch(op.name.toLowerCase()) {	// CSS function names are case-insensitive
+				case 'matrix':
+					this._argCount(op, 6, 6);
+					m.transform(this._cssValue(args[0], 'number'), this._cssValue(args[1], 'number'),
+								this._cssValue(args[2], 'number'), this._cssValue(args[3], 'number'),
+								this._cssValue(args[4], 'number'), this._cssValue(args[5], 'number'));
+					break;
+
+				case 'translate':
+					this._argCount(op, 1, 2);
+					x = this._cssValue(args[0], 'length');
+					m.translate(x, args.length > 1 ? this._cssValue(args[1], 'length') : 0);
+					break;
+
+				case 'translatex':
+					this._argCount(op, 1, 1);
+					m.translateX(this._cssValue(args[0], 'length'));
+					break;
+
+				case 'translatey':
+					this._argCount(op, 1, 1);
+					m.translateY(this._cssValue(args[0], 'length'));
+					break;
+
+				case 'scale':
+					this._argCount(op, 1, 2);
+					x = this._cssValue(args[0], 'number');
+					m.scale(x, args.length > 1 ? this._cssValue(args[1], 'number') : x);
+					break;
+
+				case 'scalex':
+					this._argCount(op, 1, 1);
+					m.scaleX(this._cssValue(args[0], 'number'));
+					break;
+
+				case 'scaley':
+					this._argCount(op, 1, 1);
+					m.scaleY(this._cssValue(args[0], 'number'));
+					break;
+
+				case 'rotate':
+					this._argCount(op, 1, 1);
+					m.rotate(this._cssValue(args[0], 'angle'));
+					break;
+
+				case 'skew':
+					this._argCount(op, 1, 2);
+					x = this._cssValue(args[0], 'angle');
+					y = args.length > 1 ? this._cssValue(args[1], 'angle') : 0;
+					m.skew(Math.tan(x), Math.tan(y));
+					break;
+
+				case 'skewx':
+					this._argCount(op, 1, 1);
+					m.skewX(Math.tan(this._cssValue(args[0], 'angle')));
+					break;
+
+				case 'skewy':
+					this._argCount(op, 1, 1);
+					m.skewY(Math.tan(this._cssValue(args[0], 'angle')));
+					break;
+
+				case 'matrix3d':
+				case 'translate3d':
+				case 'translatez':
+				case 'scale3d':
+				case 'scalez':
+				case 'rotate3d':
+				case 'rotatex':
+				case 'rotatey':
+				case 'rotatez':
+				case 'perspective':
+					throw new Error('3D transform function not supported: ' + op.name + '()');
+
+				default:
+					throw new Error('Unknown transform function: ' + op.name + '()');
+			}
+		}
+
+		return this.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+	},
+
+	/**
+	 * Multiplies current matrix with the transforms in a SVG transform
+	 * attribute value (transform, gradientTransform, patternTransform),
+	 * for example:
+	 *
+	 * "translate(10 5), rotate(45 50 50) scale(2)"
+	 *
+	 * The full SVG 1.1 transform list grammar is supported: matrix,
+	 * translate, scale, rotate (with optional center point), skewX and
+	 * skewY. Angles are unitless degrees.
+	 *
+	 * An error is thrown for malformed input. The matrix is left
+	 * untouched in that case.
+	 *
+	 * @param {string} svg - SVG transform list
+	 */
+	applySVG: function(svg) {
+
+		var m = new Matrix(),
+			list, op, args, i = 0;
+
+		svg = String(svg).trim();
+		if (!svg) return this;
+
+		list = this._parseList(svg, true);
+
+		for(; op = list[i]; i++) {
+
+			args = op.args;
+
+			switch(op.name) {
+				case 'matrix':
+					this._argCount(op, 6, 6);
+					m.transform(args[0], args[1], args[2], args[3], args[4], args[5]);
+					break;
+
+				case 'translate':
+					this._argCount(op, 1, 2);
+					m.translate(args[0], args.length > 1 ? args[1] : 0);
+					break;
+
+				case 'scale':
+					this._argCount(op, 1, 2);
+					m.scale(args[0], args.length > 1 ? args[1] : args[0]);
+					break;
+
+				case 'rotate':
+					if (args.length === 3) {
+						m.translate(args[1], args[2])
+						 .rotateDeg(args[0])
+						 .translate(-args[1], -args[2]);
+					}
+					else {
+						this._argCount(op, 1, 1);
+						m.rotateDeg(args[0]);
+					}
+					break;
+
+				case 'skewX':
+					this._argCount(op, 1, 1);
+					m.skewX(Math.tan(args[0] * 0.017453292519943295));
+					break;
+
+				case 'skewY':
+					this._argCount(op, 1, 1);
+					m.skewY(Math.tan(args[0] * 0.017453292519943295));
+					break;
+
+				default:
+					throw new Error('Unknown transform function: ' + op.name + '()');
+			}
+		}
+
+		return this.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+	},
+
 	/**
 	 * Get an inverse matrix of current matrix. The method returns a new
 	 * matrix with values you need to use to get to an identity matrix.
 	 * Context from parent matrix is not applied to the returned matrix.
-	 * @returns {Matrix}
+	 *
+	 * If the matrix is not invertible (see isInvertible()) the result
+	 * depends on the singular argument:
+	 *
+	 * "throw" (default) - throws an error
+	 * "null" - returns null
+	 * "pseudo" - returns the pseudo-inverse (Moore-Penrose) which maps
+	 * points back onto the line (or point) the matrix collapses to
+	 *
+	 * @param {string} [singular="throw"] - "throw", "null" or "pseudo"
+	 * @returns {Matrix|null}
 	 */
-	getInverse: function() {
+	getInverse: function(singular) {
 
 		var a = this.a,
 			b = this.b,
@@ -240,7 +715,34 @@ Matrix.prototype = {
 			e = this.e,
 			f = this.f,
 			m = new Matrix(),
-			dt = (a * d - b * c);
+			dt = (a * d - b * c),
+			n;
+
+		if (!this.isInvertible()) {
+
+			if (singular === 'null') return null;
+
+			if (singular !== 'pseudo')
+				throw new Error('Matrix is not invertible (determinant: ' + dt + ')');
+
+			// rank 1 (or 0): pseudo-inverse of linear part is its transpose / squared norm
+			n = a * a + b * b + c * c + d * d;
+
+			if (n) {
+				m.a = a / n;
+				m.b = c / n;
+				m.c = b / n;
+				m.d = d / n;
+			}
+			else {
+				m.a = m.d = 0;
+			}
+
+			m.e = -(m.a * e + m.c * f);
+			m.f = -(m.b * e + m.d * f);
+
+			return m;
+		}
 
 		m.a = d / dt;
 		m.b = -b / dt;
@@ -252,6 +754,29 @@ Matrix.prototype = {
 		return m;
 	},
 
+	/**
+	 * Get the determinant of current matrix. A negative determinant
+	 * means the matrix contains a reflection, zero that the matrix
+	 * collapses to a line or a point.
+	 * @returns {number}
+	 */
+	determinant: function() {
+		return this.a * this.d - this.b * this.c;
+	},
+
+	/**
+	 * Returns true if the matrix can be inverted, ie. the determinant
+	 * is not zero and all values are finite. The tolerance is relative
+	 * to the magnitude of the matrix so small scales are still invertible.
+	 * @returns {boolean}
+	 */
+	isInvertible: function() {
+		var a = this.a, b = this.b, c = this.c, d = this.d,
+			dt = this.determinant();
+		return isFinite(dt) && isFinite(this.e) && isFinite(this.f) &&
+			   Math.abs(dt) > Matrix._rankEpsilon * (a * a + b * b + c * c + d * d);
+	},
+
 	/**
 	 * Interpolate this matrix with another and produce a new matrix.
 	 * t is a value in the range [0.0, 1.0] where 0 is this instance and
@@ -277,19 +802,110 @@ Matrix.prototype = {
 		return m;
 	},
 
+	/**
+	 * Interpolate this matrix with another and produce a new matrix,
+	 * suitable for animations. Unlike interpolate() both matrices are
+	 * decomposed and translation, rotation, scale and skew are
+	 * interpolated separately before being recomposed, so the shape and
+	 * size is kept during the transition. Rotation takes the shortest
+	 * path.
+	 *
+	 * Context from parent matrix is not applied to the returned matrix.
+	 *
+	 * @param {Matrix} m2 - the matrix to interpolate with.
+	 * @param {number} t - interpolation [0.0, 1.0]
+	 * @returns {Matrix} - new instance with the interpolated result
+	 */
+	interpolateAnim: function(m2, t) {
+
+		var d1 = this.decompose(),
+			d2 = m2.decompose(),
+			rot = d2.rotation - d1.rotation,
+			pi = Math.PI;
+
+		// shortest path
+		if (rot > pi) rot -= 2 * pi;
+		else if (rot < -pi) rot += 2 * pi;
+
+		return Matrix.fromDecomposition({
+			translateX: d1.translateX + (d2.translateX - d1.translateX) * t,
+			translateY: d1.translateY + (d2.translateY - d1.translateY) * t,
+			rotation  : d1.rotation + rot * t,
+			scaleX    : d1.scaleX + (d2.scaleX - d1.scaleX) * t,
+			scaleY    : d1.scaleY + (d2.scaleY - d1.scaleY) * t,
+			skewX     : d1.skewX + (d2.skewX - d1.skewX) * t
+		});
+	},
+
+	/**
+	 * Decompose current matrix into translate, rotate, scale and skew
+	 * components. The components are defined so that applying them in
+	 * the order translate, rotate, scale and skewX on an identity matrix
+	 * gives back the current matrix (see Matrix.fromDecomposition()).
+	 *
+	 * Reflection is always expressed as a negative scaleY.
+	 *
+	 * @returns {{translateX: number, translateY: number, rotation: number, scaleX: number, scaleY: number, skewX: number}}
+	 * Object with the components. Rotation and skewX are angles in radians.
+	 */
+	decompose: function() {
+
+		var a = this.a,
+			b = this.b,
+			c = this.c,
+			d = this.d,
+			sx = Math.sqrt(a * a + b * b),
+			sy = 0,
+			rotation = 0,
+			skewX = 0;
+
+		if (sx) {
+			rotation = Math.atan2(b, a);
+			sy = (a * d - b * c) / sx;
+			skewX = Math.atan((a * c + b * d) / (sx * sx));
+		}
+		else if (c || d) {
+			// first column collapsed, use second column for rotation
+			sy = Math.sqrt(c * c + d * d);
+			rotation = Math.atan2(-c, d);
+		}
+
+		return {
+			translateX: this.e,
+			translateY: this.f,
+			rotation  : rotation,
+			scaleX    : sx,
+			scaleY    : sy,
+			skewX     : skewX
+		};
+	},
+
 	/**
 	 * Apply current matrix to x and y point.
 	 * Returns a point object.
 	 *
+	 * An optional output object can be given to avoid allocating a new
+	 * object, ie. for performance critical code.
+	 *
 	 * @param {number} x - value for x
 	 * @param {number} y - value for y
-	 * @returns {{x: number, y: number}} A new transformed point object
+	 * @param {{x: number, y: number}} [out] - object to store the result in
+	 * @returns {{x: number, y: number}} A new transformed point object, or out if given
 	 */
-	applyToPoint: function(x, y) {
+	applyToPoint: function(x, y, out) {
+
+		var tx = x * this.a + y * this.c + this.e,
+			ty = x * this.b + y * this.d + this.f;
+
+		if (out) {
+			out.x = tx;
+			out.y = ty;
+			return out;
+		}
 
 		return {
-			x: x * this.a + y * this.c + this.e,
-			y: x * this.b + y * this.d + this.f
+			x: tx,
+			y: ty
 		};
 	},
 
@@ -312,107 +928,1617 @@ Matrix.prototype = {
 	 * @returns {Array} A new array with transformed points
 	 */
 	applyToArray: function(points) {
-
-		var i = 0, p, l, mxPoints = [];
-
-		if (typeof points[0] === 'number') {
-
-			l = points.length;
-
-			while(i < l) {
-				p = this.applyToPoint(points[i++], points[i++]);
-				mxPoints.push(p.x, p.y);
-			}
-		}
-		else {
-			for(; p = points[i]; i++) {
-				mxPoints.push(this.applyToPoint(p.x, p.y));
-			}
-		}
-
-		return mxPoints;
+		return this._mapArray(points, this.applyToPoint);
 	},
 
 	/**
 	 * Apply current matrix to a typed array with point pairs. Although
 	 * the input array may be an ordinary array, this method is intended
 	 * for more performant use where typed arrays are used. The returned
-	 * array is regardless always returned as a Float32Array.
+	 * array is by default a new Float32Array.
+	 *
+	 * To avoid allocations an output array can be given which receives
+	 * the transformed points. It can be the input array itself to
+	 * transform the points in-place. Give true instead to get a new
+	 * Float64Array, avoiding the precision loss of Float32Array.
 	 *
 	 * @param {*} points - (typed) array with point pairs
-	 * @returns {Float32Array} A new array with transformed points
+	 * @param {*|boolean} [out] - (typed) array to store the result in, or true for a new Float64Array
+	 * @returns {*} A new Float32Array/Float64Array with transformed points, or out if given
 	 */
-	applyToTypedArray: function(points) {
+	applyToTypedArray: function(points, out) {
 
-		var i = 0, p,
+		var i = 0, x, y,
 			l = points.length,
-			mxPoints = new Float32Array(l);
+			mxPoints = out === true ? new Float64Array(l) : out || new Float32Array(l);
 
 		while(i < l) {
-			p = this.applyToPoint(points[i], points[i+1]);
-			mxPoints[i++] = p.x;
-			mxPoints[i++] = p.y;
+			x = points[i];
+			y = points[i + 1];
+			mxPoints[i++] = x * this.a + y * this.c + this.e;
+			mxPoints[i++] = x * this.b + y * this.d + this.f;
 		}
 
 		return mxPoints;
 	},
 
 	/**
-	 * Apply to any canvas 2D context object. This does not affect the
-	 * context that optionally was referenced in constructor unless it is
-	 * the same context.
-	 * @param {CanvasRenderingContext2D} context
-	 */
-	applyToContext: function(context) {
+	 * Apply the linear part of current matrix to a direction vector, ie.
+	 * a velocity or a tangent. Unlike applyToPoint() the translation is
+	 * not added.
+	 *
+	 * @param {number} x - value for x
+	 * @param {number} y - value for y
+	 * @param {{x: number, y: number}} [out] - object to store the result in
+	 * @returns {{x: number, y: number}} A new transformed vector object, or out if given
+	 */
+	applyToVector: function(x, y, out) {
+
+		out = out || {};
+		out.x = x * this.a + y * this.c;
+		out.y = x * this.b + y * this.d;
+
+		return out;
+	},
+
+	/**
+	 * Apply current matrix to a surface normal, using the inverse
+	 * transpose of the linear part so the normal stays perpendicular to
+	 * the transformed surface.
+	 *
+	 * Throws if the matrix is not invertible, unless the normal is
+	 * normalized.
+	 *
+	 * @param {number} x - value for x
+	 * @param {number} y - value for y
+	 * @param {boolean} [normalize=false] - re-normalize the result to unit length
+	 * @param {{x: number, y: number}} [out] - object to store the result in
+	 * @returns {{x: number, y: number}} A new transformed normal object, or out if given
+	 */
+	applyToNormal: function(x, y, normalize, out) {
+
+		var dt = this.determinant(),
+			nx = x * this.d - y * this.b,
+			ny = y * this.a - x * this.c,
+			l;
+
+		if (normalize) {
+			l = Math.sqrt(nx * nx + ny * ny);
+			if (l) {
+				// keep orientation of the inverse transpose
+				if (dt < 0) l = -l;
+				nx /= l;
+				ny /= l;
+			}
+		}
+		else {
+			if (!this.isInvertible()) throw new Error('Matrix is not invertible (determinant: ' + dt + ')');
+			nx /= dt;
+			ny /= dt;
+		}
+
+		out = out || {};
+		out.x = nx;
+		out.y = ny;
+
+		return out;
+	},
+
+	/**
+	 * Apply the linear part of current matrix to an array with vector
+	 * objects or vector pairs. See applyToArray() and applyToVector().
+	 *
+	 * @param {Array} vectors - array with vector objects or pairs
+	 * @returns {Array} A new array with transformed vectors
+	 */
+	applyToVectorArray: function(vectors) {
+		return this._mapArray(vectors, this.applyToVector);
+	},
+
+	/**
+	 * Apply current matrix to an array with normal objects or normal
+	 * pairs. See applyToArray() and applyToNormal().
+	 *
+	 * @param {Array} normals - array with normal objects or pairs
+	 * @param {boolean} [normalize=false] - re-normalize the results to unit length
+	 * @returns {Array} A new array with transformed normals
+	 */
+	applyToNormalArray: function(normals, normalize) {
+		return this._mapArray(normals, function(x, y) {
+			return this.applyToNormal(x, y, normalize);
+		});
+	},
+
+	/**
+	 * Apply the linear part of current matrix to a typed array with
+	 * vector pairs. See applyToTypedArray() for the out argument.
+	 *
+	 * @param {*} vectors - (typed) array with vector pairs
+	 * @param {*|boolean} [out] - (typed) array to store the result in, or true for a new Float64Array
+	 * @returns {*} A new Float32Array/Float64Array with transformed vectors, or out if given
+	 */
+	applyToVectorTypedArray: function(vectors, out) {
+		return this._mapTypedArray(vectors, out, this.applyToVector);
+	},
+
+	/**
+	 * Apply current matrix to a typed array with normal pairs. See
+	 * applyToTypedArray() for the out argument.
+	 *
+	 * @param {*} normals - (typed) array with normal pairs
+	 * @param {boolean} [normalize=false] - re-normalize the results to unit length
+	 * @param {*|boolean} [out] - (typed) array to store the result in, or true for a new Float64Array
+	 * @returns {*} A new Float32Array/Float64Array with transformed normals, or out if given
+	 */
+	applyToNormalTypedArray: function(normals, normalize, out) {
+		return this._mapTypedArray(normals, out, function(x, y, p) {
+			return this.applyToNormal(x, y, normalize, p);
+		});
+	},
+
+	/**
+	 * Apply current matrix to x and y positions inside an interleaved
+	 * (strided) buffer, ie. a vertex buffer with position, UV and color
+	 * per vertex. Only the positions are modified.
+	 *
+	 * Options:
+	 *
+	 * stride - number of values per vertex (default 2)
+	 * offset - index of x of the first vertex (default 0)
+	 * count - number of vertices (default all vertices in the buffer)
+	 * out - buffer to store the result in (default the input buffer, in-place)
+	 * outStride - number of values per vertex in out (default stride)
+	 * outOffset - index of x of the first vertex in out (default offset if in-place, else 0)
+	 *
+	 * @param {*} buffer - (typed) array with interleaved vertices
+	 * @param {{stride: number, offset: number, count: number, out: *, outStride: number, outOffset: number}} [options]
+	 * @returns {*} The out buffer
+	 */
+	applyToBuffer: function(buffer, options) {
+
+		options = options || {};
+
+		var stride = options.stride || 2,
+			i = options.offset || 0,
+			count = typeof options.count === 'number' ? options.count :
+					buffer.length - i < 2 ? 0 : Math.floor((buffer.length - i - 2) / stride) + 1,
+			out = options.out || buffer,
+			outStride = options.outStride || stride,
+			o = typeof options.outOffset === 'number' ? options.outOffset : out === buffer ? i : 0,
+			x, y;
+
+		while(count--) {
+			x = buffer[i];
+			y = buffer[i + 1];
+			out[o] = x * this.a + y * this.c + this.e;
+			out[o + 1] = x * this.b + y * this.d + this.f;
+			i += stride;
+			o += outStride;
+		}
+
+		return out;
+	},
+
+	/**
+	 * Apply current matrix to points stored as separate x and y arrays
+	 * (structure-of-arrays layout). The result is stored in the output
+	 * arrays if given, otherwise the input arrays are transformed
+	 * in-place.
+	 *
+	 * @param {*} xs - (typed) array with x values
+	 * @param {*} ys - (typed) array with y values
+	 * @param {*} [outXs] - (typed) array to store x results in
+	 * @param {*} [outYs] - (typed) array to store y results in
+	 * @returns {Array} array with the two output arrays [xs, ys]
+	 */
+	applyToArraysXY: function(xs, ys, outXs, outYs) {
+
+		var i = 0,
+			l = Math.min(xs.length, ys.length),
+			x, y;
+
+		outXs = outXs || xs;
+		outYs = outYs || ys;
+
+		for(; i < l; i++) {
+			x = xs[i];
+			y = ys[i];
+			outXs[i] = x * this.a + y * this.c + this.e;
+			outYs[i] = x * this.b + y * this.d + this.f;
+		}
+
+		return [outXs, outYs];
+	},
+
+	/**
+	 * Apply current matrix to a rectangle. As the rectangle can be
+	 * rotated or skewed the result is returned as an array with the four
+	 * transformed corners in the order top-left, top-right, bottom-right
+	 * and bottom-left.
+	 *
+	 * @param {{x: number, y: number, width: number, height: number}} rect - rectangle to transform
+	 * @returns {Array} A new array with four transformed point objects
+	 */
+	applyToRect: function(rect) {
+
+		var x1 = rect.x,
+			y1 = rect.y,
+			x2 = x1 + rect.width,
+			y2 = y1 + rect.height;
+
+		return [
+			this.applyToPoint(x1, y1),
+			this.applyToPoint(x2, y1),
+			this.applyToPoint(x2, y2),
+			this.applyToPoint(x1, y2)
+		];
+	},
+
+	/**
+	 * Get the axis-aligned bounding box of a rectangle transformed by
+	 * current matrix.
+	 *
+	 * @param {{x: number, y: number, width: number, height: number}} rect - rectangle to transform
+	 * @returns {{x: number, y: number, width: number, height: number}} A new rectangle object
+	 */
+	getBounds: function(rect) {
+
+		var quad = this.applyToRect(rect),
+			minX = quad[0].x, minY = quad[0].y,
+			maxX = minX, maxY = minY,
+			i = 1, p;
+
+		for(; p = quad[i]; i++) {
+			if (p.x < minX) minX = p.x;
+			else if (p.x > maxX) maxX = p.x;
+			if (p.y < minY) minY = p.y;
+			else if (p.y > maxY) maxY = p.y;
+		}
+
+		return {
+			x: minX,
+			y: minY,
+			width: maxX - minX,
+			height: maxY - minY
+		};
+	},
+
+	/**
+	 * Get the axis-aligned bounding box of a rectangle transformed by the
+	 * inverse of current matrix, ie. to map a screen-space rectangle back
+	 * into local space.
+	 *
+	 * @param {{x: number, y: number, width: number, height: number}} rect - rectangle to transform
+	 * @returns {{x: number, y: number, width: number, height: number}} A new rectangle object
+	 */
+	getInverseBounds: function(rect) {
+		return this.getInverse().getBounds(rect);
+	},
+
+	/**
+	 * Apply current matrix to an ellipse (or circle). As an affine
+	 * transform always produces an ellipse the result is exact, and is
+	 * returned as a new ellipse object with center, radii and rotation.
+	 *
+	 * @param {{cx: number, cy: number, rx: number, ry: number, rotation: number}} ellipse -
+	 * ellipse to transform. Rotation is in radians and optional.
+	 * @returns {{cx: number, cy: number, rx: number, ry: number, rotation: number}} A new ellipse object
+	 */
+	applyToEllipse: function(ellipse) {
+
+		var c = this.applyToPoint(ellipse.cx, ellipse.cy),
+			r = this._ellipseRadii(ellipse.rx, ellipse.ry, ellipse.rotation || 0);
+
+		return {
+			cx: c.x,
+			cy: c.y,
+			rx: r[0],
+			ry: r[1],
+			rotation: r[2]
+		};
+	},
+
+	/**
+	 * Adds an ellipse transformed by current matrix to the current path
+	 * of a context using its ellipse() method. The context transform is
+	 * set to identity while adding the path and restored afterwards, so
+	 * the path is not transformed twice and stroke widths are not
+	 * affected by the matrix.
+	 *
+	 * Call beginPath() on the context first as with ellipse().
+	 *
+	 * @param {{cx: number, cy: number, rx: number, ry: number, rotation: number}} ellipse - ellipse to transform
+	 * @param {CanvasRenderingContext2D} [context] - context to use, default is the synced context
+	 */
+	applyEllipseToContext: function(ellipse, context) {
+
+		var e = this.applyToEllipse(ellipse);
+
+		context = context || this.context;
+		if (!context) throw new Error('No context to apply ellipse to');
+
+		context.save();
+		context.setTransform(1, 0, 0, 1, 0, 0);
+		context.ellipse(e.cx, e.cy, e.rx, e.ry, e.rotation, 0, 2 * Math.PI);
+		context.restore();
+
+		return this;
+	},
+
+	/**
+	 * Apply current matrix to SVG path data (the "d" attribute). Returns
+	 * a new path data string using absolute commands only.
+	 *
+	 * All path commands are supported (M, L, H, V, C, S, Q, T, A, Z, both
+	 * absolute and relative). H and V are converted to L if the matrix
+	 * makes them non axis-aligned. Elliptical arcs get new radii and
+	 * x-axis-rotation, and the sweep flag is inverted under reflection.
+	 *
+	 * An error is thrown if the path data is malformed.
+	 *
+	 * @param {string} d - SVG path data
+	 * @param {number} [precision] - max number of decimals (0-20)
+	 * @returns {string} Transformed path data
+	 */
+	applyToPath: function(d, precision) {
+
+		var me = this,
+			segs = this._parsePath(d),
+			out = '', last = '',
+			cx = 0, cy = 0, sx = 0, sy = 0,		// current point and subpath start in source space
+			reflect = (this.a * this.d - this.b * this.c) < 0,
+			i = 0, seg, cmd, abs, p, j, x, y, r;
+
+		function add(c, values) {
+			var k = 0, sep = true, n;
+			if (c !== last || c === 'M') {
+				out += c;
+				last = c;
+				sep = false;
+			}
+			for(; k < values.length; k++) {
+				n = me._num(values[k], precision).replace(/^(-?)0\./, '$1.');
+				if (sep && n.charAt(0) !== '-') out += ' ';
+				out += n;
+				sep = true;
+			}
+		}
+
+		function point(x, y) {
+			var tp = me.applyToPoint(x, y);
+			return [tp.x, tp.y];
+		}
+
+		for(; seg = segs[i]; i++) {
+
+			cmd = seg[0].toUpperCase();
+			abs = cmd === seg[0];
+			p = seg.slice(1);
+
+			// make coordinates absolute
+			if (!abs) {
+				if (cmd === 'H') p[0] += cx;
+				else if (cmd === 'V') p[0] += cy;
+				else if (cmd === 'A') {
+					p[5] += cx;
+					p[6] += cy;
+				}
+				else {
+					for(j = 0; j < p.length; j += 2) {
+						p[j] += cx;
+						p[j + 1] += cy;
+					}
+				}
+			}
+
+			switch(cmd) {
+				case 'M':
+					sx = p[0];
+					sy = p[1];
+					add('M', point(p[0], p[1]));
+					break;
+
+				case 'L':
+				case 'C':
+				case 'S':
+				case 'Q':
+				case 'T':
+					for(j = 0, r = []; j < p.length; j += 2) r = r.concat(point(p[j], p[j + 1]));
+					add(cmd, r);
+					break;
+
+				case 'H':
+					p = [p[0], cy];
+					r = point(p[0], p[1]);
+					if (this._isEqual(this.b, 0)) add('H', [r[0]]);
+					else if (this._isEqual(this.a, 0)) add('V', [r[1]]);
+					else add('L', r);
+					break;
+
+				case 'V':
+					p = [cx, p[0]];
+					r = point(p[0], p[1]);
+					if (this._isEqual(this.c, 0)) add('V', [r[1]]);
+					else if (this._isEqual(this.d, 0)) add('H', [r[0]]);
+					else add('L', r);
+					break;
+
+				case 'A':
+					r = this._ellipseRadii(p[0], p[1], p[2] * 0.017453292519943295);
+					add('A', [r[0], r[1], r[2] / 0.017453292519943295, p[3] ? 1 : 0, (p[4] ? !reflect : reflect) ? 1 : 0].concat(point(p[5], p[6])));
+					break;
+
+				case 'Z':
+					p = [sx, sy];
+					add('Z', []);
+					break;
+			}
+
+			cx = p[p.length - 2];
+			cy = p[p.length - 1];
+		}
+
+		return out;
+	},
+
+	/**
+	 * Get radii and rotation of an ellipse after it has been transformed
+	 * by the linear part of current matrix.
+	 * @param {number} rx - radius x
+	 * @param {number} ry - radius y
+	 * @param {number} angle - rotation in radians
+	 * @returns {Array} array with new rx, ry and rotation in radians
+	 * @private
+	 */
+	_ellipseRadii: function(rx, ry, angle) {
+
+		var cos = Math.cos(angle),
+			sin = Math.sin(angle),
+			// linear part * rotate * scale
+			m00 = (this.a * cos + this.c * sin) * rx,
+			m01 = (this.c * cos - this.a * sin) * ry,
+			m10 = (this.b * cos + this.d * sin) * rx,
+			m11 = (this.d * cos - this.b * sin) * ry,
+			// eigen decomposition of M * transpose(M)
+			A = m00 * m00 + m01 * m01,
+			B = m00 * m10 + m01 * m11,
+			C = m10 * m10 + m11 * m11,
+			mid = (A + C) * 0.5,
+			dev = Math.sqrt((A - C) * (A - C) * 0.25 + B * B),
+			r1 = Math.sqrt(mid + dev),
+			r2 = Math.sqrt(Math.max(0, mid - dev)),
+			major = Math.atan2(2 * B, A - C) * 0.5,
+			diff = Math.abs(major - Math.atan2(m10, m00)) % Math.PI;
+
+		// keep rx along the transformed x-axis if possible, with the
+		// rotation kept in the range (-PI/2, PI/2]
+		if (diff > Math.PI * 0.25 && diff < Math.PI * 0.75) {
+			return [r2, r1, major > 0 ? major - Math.PI * 0.5 : major + Math.PI * 0.5];
+		}
+
+		return [r1, r2, major];
+	},
+
+	/**
+	 * Parses SVG path data into segments. Each segment is an array with
+	 * the command letter followed by its numeric parameters. Implicit
+	 * repeated commands are expanded to separate segments.
+	 * @param {string} d - SVG path data
+	 * @returns {Array}
+	 * @private
+	 */
+	_parsePath: function(d) {
+
+		var counts = {M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0},
+			rxNum = /^[\s,]*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/,
+			rxFlag = /^[\s,]*([01])/,
+			rxCmd = /^\s*([MmZzLlHhVvCcSsQqTtAa])/,
+			segs = [], cmd, count, seg, match, i;
+
+		d = String(d);
+
+		while(!/^\s*$/.test(d)) {
+
+			match = rxCmd.exec(d);
+			if (!match) throw new Error('Malformed path data at: "' + d + '"');
+
+			cmd = match[1];
+			count = counts[cmd.toUpperCase()];
+			d = d.substr(match[0].length);
+
+			do {
+				seg = [cmd];
+				for(i = 0; i < count; i++) {
+					match = (cmd === 'A' || cmd === 'a') && (i === 3 || i === 4) ? rxFlag.exec(d) : rxNum.exec(d);
+					if (!match) throw new Error('Malformed path data, expected number for ' + cmd + ' at: "' + d + '"');
+					seg.push(parseFloat(match[1]));
+					d = d.substr(match[0].length);
+				}
+				segs.push(seg);
+
+				// additional coordinate pairs after moveto are lineto
+				if (cmd === 'M') cmd = 'L';
+				else if (cmd === 'm') cmd = 'l';
+			}
+			while(count && rxNum.test(d));
+		}
+
+		return segs;
+	},
+
+	/**
+	 * Apply to any canvas 2D context object. This does not affect the
+	 * context that optionally was referenced in constructor unless it is
+	 * the same context.
+	 * @param {CanvasRenderingContext2D} context
+	 */
+	applyToContext: function(context) {
 		context.setTransform(this.a, this.b, this.c, this.d, this.e, this.f);
 		return this;
 	},
 
 	/**
-	 * Returns true if matrix is an identity matrix (no transforms applied).
-	 * @returns {boolean} True if identity (not transformed)
+	 * Returns true if matrix is an identity matrix (no transforms applied).
+	 * See isEqual() for how the tolerance is applied.
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean} True if identity (not transformed)
+	 */
+	isIdentity: function(eps) {
+		return (this._isEqual(this.a, 1, eps) &&
+				this._isEqual(this.b, 0, eps) &&
+				this._isEqual(this.c, 0, eps) &&
+				this._isEqual(this.d, 1, eps) &&
+				this._isEqual(this.e, 0, eps, true) &&
+				this._isEqual(this.f, 0, eps, true));
+	},
+
+	/**
+	 * Returns true if the matrix only translates (or is identity).
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isTranslationOnly: function(eps) {
+		return (this._isEqual(this.a, 1, eps) &&
+				this._isEqual(this.b, 0, eps) &&
+				this._isEqual(this.c, 0, eps) &&
+				this._isEqual(this.d, 1, eps));
+	},
+
+	/**
+	 * Returns true if the matrix maps the x and y axis onto the x and y
+	 * axis (in any order), ie. only scales, flips, translates and/or
+	 * rotates by a multiple of 90 degrees.
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isAxisAligned: function(eps) {
+		return ((this._isEqual(this.b, 0, eps) && this._isEqual(this.c, 0, eps)) ||
+				(this._isEqual(this.a, 0, eps) && this._isEqual(this.d, 0, eps)));
+	},
+
+	/**
+	 * Returns true if the matrix preserves distances, ie. only rotates,
+	 * translates and/or reflects. See hasReflection().
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isRigid: function(eps) {
+		return (this.isSimilarity(eps) &&
+				this._isEqual(this.a * this.a + this.b * this.b, 1, eps));
+	},
+
+	/**
+	 * Returns true if the matrix preserves angles, ie. only rotates,
+	 * translates, scales uniformly and/or reflects. See hasReflection().
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isSimilarity: function(eps) {
+
+		var a = this.a, b = this.b, c = this.c, d = this.d;
+
+		// columns must be orthogonal, of equal length and not collapsed
+		// (relative to the magnitude, see isInvertible())
+		return (this._isEqual(a * c + b * d, 0, eps) &&
+				this._isEqual(a * a + b * b, c * c + d * d, eps) &&
+				this.isInvertible());
+	},
+
+	/**
+	 * Returns true if the matrix scales uniformly without rotating or
+	 * skewing (translation is allowed).
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isUniformScale: function(eps) {
+		return (this._isEqual(this.a, this.d, eps) &&
+				this._isEqual(this.b, 0, eps) &&
+				this._isEqual(this.c, 0, eps));
+	},
+
+	/**
+	 * Returns true if the matrix mirrors, ie. the determinant is negative.
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	hasReflection: function(eps) {
+		var dt = this.determinant();
+		return dt < 0 && !this._isEqual(dt, 0, eps);
+	},
+
+	/**
+	 * Get the point which is not moved by the matrix, ie. the center of
+	 * rotation of a rotation with translation. Returns null if there is
+	 * no single fixed point (ie. for identity or a pure translation).
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {{x: number, y: number}|null}
+	 */
+	getFixedPoint: function(eps) {
+
+		// solve (I - L) * p = t
+		var a = 1 - this.a,
+			b = -this.b,
+			c = -this.c,
+			d = 1 - this.d,
+			dt = a * d - b * c;
+
+		if (this._isEqual(dt, 0, eps)) return null;
+
+		return {
+			x: (d * this.e - c * this.f) / dt,
+			y: (a * this.f - b * this.e) / dt
+		};
+	},
+
+	/**
+	 * Compares current matrix with another matrix. Returns true if equal
+	 * (within epsilon tolerance).
+	 *
+	 * The linear part (a, b, c, d) is compared with an absolute tolerance.
+	 * The translation (e, f) is compared with a tolerance relative to
+	 * its magnitude, but never less than the absolute tolerance.
+	 *
+	 * @param {Matrix} m - matrix to compare this matrix with
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isEqual: function(m, eps) {
+		return (this._isEqual(this.a, m.a, eps) &&
+				this._isEqual(this.b, m.b, eps) &&
+				this._isEqual(this.c, m.c, eps) &&
+				this._isEqual(this.d, m.d, eps) &&
+				this._isEqual(this.e, m.e, eps, true) &&
+				this._isEqual(this.f, m.f, eps, true));
+	},
+
+	/**
+	 * Returns current matrix as a CSS transform string:
+	 *
+	 * "matrix(a, b, c, d, e, f)"
+	 *
+	 * Numbers are never written in exponent notation. Without precision
+	 * the output re-parses to a matrix that is equal under isEqual().
+	 * Throws if a value is not finite (NaN or Infinity).
+	 *
+	 * @param {number} [precision] - max number of decimals (0-20)
+	 * @param {boolean} [trim=true] - remove trailing zeros when precision is used
+	 * @returns {string}
+	 */
+	toCSS: function(precision, trim) {
+		return 'matrix(' + this._toStrings(precision, trim).join(', ') + ')';
+	},
+
+	/**
+	 * Returns current matrix as a SVG transform attribute value:
+	 *
+	 * "matrix(a b c d e f)"
+	 *
+	 * See toCSS() for number formatting.
+	 *
+	 * @param {number} [precision] - max number of decimals (0-20)
+	 * @param {boolean} [trim=true] - remove trailing zeros when precision is used
+	 * @returns {string}
+	 */
+	toSVG: function(precision, trim) {
+		return 'matrix(' + this._toStrings(precision, trim).join(' ') + ')';
+	},
+
+	/**
+	 * Maps an array with point objects or point pairs using a point
+	 * function. Returns a new array in the same format.
+	 * @param {Array} points - array with point objects or pairs
+	 * @param {function} fn - called as fn(x, y) in the context of this matrix, returns a point object
+	 * @returns {Array}
+	 * @private
+	 */
+	_mapArray: function(points, fn) {
+
+		var i = 0, p, l, mxPoints = [];
+
+		if (typeof points[0] === 'number') {
+
+			l = points.length;
+
+			while(i < l) {
+				p = fn.call(this, points[i++], points[i++]);
+				mxPoints.push(p.x, p.y);
+			}
+		}
+		else {
+			for(; p = points[i]; i++) {
+				mxPoints.push(fn.call(this, p.x, p.y));
+			}
+		}
+
+		return mxPoints;
+	},
+
+	/**
+	 * Maps a typed array with point pairs using a point function.
+	 * @param {*} points - (typed) array with point pairs
+	 * @param {*|boolean} [out] - (typed) array to store the result in, or true for a new Float64Array
+	 * @param {function} fn - called as fn(x, y, out) in the context of this matrix
+	 * @returns {*}
+	 * @private
+	 */
+	_mapTypedArray: function(points, out, fn) {
+
+		var i = 0, p = {},
+			l = points.length,
+			mxPoints = out === true ? new Float64Array(l) : out || new Float32Array(l);
+
+		while(i < l) {
+			fn.call(this, points[i], points[i + 1], p);
+			mxPoints[i++] = p.x;
+			mxPoints[i++] = p.y;
+		}
+
+		return mxPoints;
+	},
+
+	/**
+	 * Formats the matrix values as strings for serialization.
+	 * @param {number} [precision] - max number of decimals
+	 * @param {boolean} [trim=true] - remove trailing zeros
+	 * @returns {Array} array with strings for a, b, c, d, e and f
+	 * @private
+	 */
+	_toStrings: function(precision, trim) {
+		return [
+			this._num(this.a, precision, trim),
+			this._num(this.b, precision, trim),
+			this._num(this.c, precision, trim),
+			this._num(this.d, precision, trim),
+			this._num(this.e, precision, trim),
+			this._num(this.f, precision, trim)
+		];
+	},
+
+	/**
+	 * Formats a number as a string without exponent notation. Throws
+	 * if the number is not finite.
+	 * @param {number} n - number to format
+	 * @param {number} [precision] - max number of decimals
+	 * @param {boolean} [trim=true] - remove trailing zeros
+	 * @returns {string}
+	 * @private
+	 */
+	_num: function(n, precision, trim) {
+
+		var s, match, digits, exp;
+
+		if (!isFinite(n)) throw new Error('Can not serialize non-finite value: ' + n);
+
+		// values equal to 0 under isEqual() are written as 0
+		if (Math.abs(n) <= Matrix.epsilon) n = 0;
+
+		s = typeof precision === 'number' ? n.toFixed(precision) : String(n);
+
+		// expand exponent notation, ie. "1.5e-17" or "2e+21"
+		match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(s);
+		if (match) {
+			digits = match[2] + (match[3] || '');
+			exp = +match[4];
+			if (exp < 0) {
+				s = '0.' + new Array(-exp).join('0') + digits;
+			}
+			else if (digits.length > exp + 1) {
+				s = digits.substr(0, exp + 1) + '.' + digits.substr(exp + 1);
+			}
+			else {
+				s = digits + new Array(exp + 2 - digits.length).join('0');
+			}
+			s = match[1] + s;
+		}
+
+		if (typeof precision === 'number' && trim !== false && s.indexOf('.') > -1)
+			s = s.replace(/\.?0+$/, '');
+
+		if (+s === 0) s = s.replace('-', '');
+
+		return s;
+	},
+
+	/**
+	 * Splits a transform list string into transform functions with
+	 * their arguments. Throws if the string is malformed.
+	 *
+	 * For CSS the arguments are comma separated and returned unparsed.
+	 * For SVG the transforms can be separated by a comma and arguments
+	 * are parsed to numbers following the SVG 1.1 grammar.
+	 *
+	 * @param {string} str - transform list
+	 * @param {boolean} [svg=false] - parse as SVG transform list
+	 * @returns {Array} array with {name: string, args: Array} objects
+	 * @private
 	 */
-	isIdentity: function() {
-		return (this._isEqual(this.a, 1) &&
-				this._isEqual(this.b, 0) &&
-				this._isEqual(this.c, 0) &&
-				this._isEqual(this.d, 1) &&
-				this._isEqual(this.e, 0) &&
-				this._isEqual(this.f, 0));
+	_parseList: function(str, svg) {
+
+		var rx = /\s*([a-zA-Z0-9]+)\s*\(([^()]*)\)\s*/g,
+			list = [], pos = 0, match, args;
+
+		while(pos < str.length) {
+
+			// SVG allows a comma between transforms
+			if (svg && list.length) {
+				match = /^,\s*/.exec(str.substr(pos));
+				if (match) {
+					pos += match[0].length;
+					if (pos === str.length)
+						throw new Error('Malformed transform list, trailing comma');
+				}
+			}
+
+			rx.lastIndex = pos;
+			match = rx.exec(str);
+
+			if (!match || match.index !== pos)
+				throw new Error('Malformed transform list at: "' + str.substr(pos) + '"');
+
+			args = match[2].trim();
+
+			list.push({
+				name: match[1],
+				args: svg ? this._svgArgs(args) : args ? args.split(/\s*,\s*/) : []
+			});
+
+			pos = rx.lastIndex;
+		}
+
+		return list;
 	},
 
 	/**
-	 * Compares current matrix with another matrix. Returns true if equal
-	 * (within epsilon tolerance).
-	 * @param {Matrix} m - matrix to compare this matrix with
-	 * @returns {boolean}
+	 * Parses SVG transform arguments to numbers. Numbers can be separated
+	 * by whitespace and/or a comma, or not at all when unambiguous
+	 * (ie. "10-20").
+	 * @param {string} str - trimmed argument string
+	 * @returns {Array} array with numbers
+	 * @private
+	 */
+	_svgArgs: function(str) {
+
+		var rx = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?:\s*,\s*|\s+)?/,
+			args = [], match;
+
+		while(str.length) {
+			match = rx.exec(str);
+			if (!match) throw new Error('Invalid value: "' + str + '"');
+			args.push(parseFloat(match[1]));
+			str = str.substr(match[0].length);
+			if (!str && /,\s*$/.test(match[0])) throw new Error('Invalid value: trailing comma');
+		}
+
+		return args;
+	},
+
+	/**
+	 * Throws if the number of arguments of a parsed transform function
+	 * is outside the given range.
+	 * @param {{name: string, args: Array}} op - parsed transform function
+	 * @param {number} min - minimum number of arguments
+	 * @param {number} max - maximum number of arguments
+	 * @private
+	 */
+	_argCount: function(op, min, max) {
+		var l = op.args.length;
+		if (l < min || l > max)
+			throw new Error('Wrong number of arguments for ' + op.name + '(): ' + l);
+	},
+
+	/**
+	 * Converts a CSS value to a number. Lengths are returned in pixels
+	 * and angles in radians.
+	 * @param {string} v - CSS value such as "10px" or "45deg"
+	 * @param {string} type - "number", "length" or "angle"
+	 * @returns {number}
+	 * @private
 	 */
-	isEqual: function(m) {
-		return (this._isEqual(this.a, m.a) &&
-				this._isEqual(this.b, m.b) &&
-				this._isEqual(this.c, m.c) &&
-				this._isEqual(this.d, m.d) &&
-				this._isEqual(this.e, m.e) &&
-				this._isEqual(this.f, m.f));
+	_cssValue: function(v, type) {
+
+		var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i.exec(v),
+			n, unit;
+
+		if (!match) throw new Error('Invalid value: "' + v + '"');
+
+		n = parseFloat(match[1]);
+		unit = match[2].toLowerCase();
+
+		if (!unit && (type === 'number' || n === 0)) return n;
+
+		if (type === 'length' && unit === 'px') return n;
+
+		if (type === 'angle') {
+			switch(unit) {
+				case 'deg': return n * 0.017453292519943295;
+				case 'rad': return n;
+				case 'grad': return n * Math.PI / 200;
+				case 'turn': return n * 2 * Math.PI;
+			}
+		}
+
+		throw new Error('Unsupported unit for ' + type + ': "' + v + '"');
 	},
 
 	/**
 	 * Compares floating point values with some tolerance (epsilon)
 	 * @param {number} f1 - float 1
 	 * @param {number} f2 - float 2
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @param {boolean} [relative=false] - scale tolerance by magnitude of the values (if > 1)
 	 * @returns {boolean}
 	 * @private
 	 */
-	_isEqual: function(f1, f2) {
-		return Math.abs(f1 - f2) < 1e-14;
+	_isEqual: function(f1, f2, eps, relative) {
+		if (typeof eps !== 'number') eps = Matrix.epsilon;
+		if (relative) eps *= Math.max(1, Math.abs(f1), Math.abs(f2));
+		return Math.abs(f1 - f2) <= eps;
 	},
 
 	/**
 	 * Apply current absolute matrix to context if defined, to sync it.
+	 * Also schedules a change notification if there are listeners.
 	 * @private
 	 */
 	_setCtx: function() {
+
+		var me = this;
+
 		if (this.context)
 			this.context.setTransform(this.a, this.b, this.c, this.d, this.e, this.f);
+
+		if (this._listeners.length && !this._pending) {
+			this._pending = true;
+			Matrix._defer(function() {
+				me._emit();
+			});
+		}
+	},
+
+	/**
+	 * Adds an observer which is called before and/or after each
+	 * operation in Matrix.recordable that is called from outside (not
+	 * operations used internally by other methods). The methods are
+	 * wrapped on the instance while there are observers.
+	 *
+	 * The observer's before(name, args) and after(name, args) are both
+	 * optional. after() is not called if the operation throws.
+	 *
+	 * @param {{before: function, after: function}} observer
+	 * @private
+	 */
+	_addOpObserver: function(observer) {
+
+		var me = this,
+			names = Matrix.recordable,
+			i = 0;
+
+		if (!this._opObservers) {
+			this._opObservers = [];
+			this._opDepth = 0;
+			for(; i < names.length; i++) this[names[i]] = wrap(names[i]);
+		}
+
+		this._opObservers.push(observer);
+
+		function wrap(name) {
+			return function() {
+
+				var observers = me._opObservers.slice(),
+					top = !me._opDepth,
+					result, j;
+
+				if (top) {
+					for(j = 0; j < observers.length; j++) {
+						if (observers[j].before) observers[j].before(name, arguments);
+					}
+				}
+
+				me._opDepth++;
+				try {
+					result = Matrix.prototype[name].apply(me, arguments);
+				}
+				finally {
+					me._opDepth--;
+				}
+
+				if (top) {
+					for(j = 0; j < observers.length; j++) {
+						if (observers[j].after) observers[j].after(name, arguments);
+					}
+				}
+
+				return result;
+			};
+		}
+	},
+
+	/**
+	 * Removes an observer added with _addOpObserver(). The wrapped
+	 * methods are removed when there are no more observers.
+	 * @param {{before: function, after: function}} observer
+	 * @private
+	 */
+	_removeOpObserver: function(observer) {
+
+		var names = Matrix.recordable,
+			i = this._opObservers ? this._opObservers.indexOf(observer) : -1;
+
+		if (i < 0) return;
+
+		this._opObservers.splice(i, 1);
+
+		if (!this._opObservers.length) {
+			this._opObservers = null;
+			for(i = 0; i < names.length; i++) delete this[names[i]];
+		}
+	},
+
+	/**
+	 * Calls all change listeners. A listener throwing does not stop the
+	 * others, the error is re-thrown asynchronously afterwards.
+	 * @private
+	 */
+	_emit: function() {
+
+		var listeners = this._listeners.slice(),
+			i = 0;
+
+		this._pending = false;
+
+		for(; i < listeners.length; i++) {
+			try {
+				listeners[i].call(this, this);
+			}
+			catch(err) {
+				Matrix._rethrow(err);
+			}
+		}
+	}
+};
+
+/**
+ * Default tolerance used when comparing floating point values, ie. in
+ * isEqual() and isIdentity().
+ * @type {number}
+ * @static
+ */
+Matrix.epsilon = 1e-14;
+
+/**
+ * Fixed relative tolerance for rank and degeneracy checks, ie. singular
+ * matrices and collinear points. Unlike Matrix.epsilon it is not meant
+ * to be changed.
+ * @type {number}
+ * @private
+ * @static
+ */
+Matrix._rankEpsilon = 1e-14;
+
+/**
+ * Names of methods recorded by startRecording() and tracked by
+ * MatrixHistory. Also the base for ImmutableMatrix.methods.
+ * @type {Array}
+ * @static
+ */
+Matrix.recordable = [
+	'flipX', 'flipY', 'reset', 'rotate', 'rotateDeg', 'scale', 'scaleX', 'scaleY',
+	'skew', 'skewX', 'skewY', 'rotateAt', 'rotateDegAt', 'scaleAt', 'skewAt', 'flipXAt',
+	'flipYAt', 'setTransform', 'copyFrom', 'translate', 'translateX', 'translateY',
+	'transform', 'applyCSS', 'applySVG', 'save', 'restore'
+];
+
+/**
+ * Calls a function asynchronously as soon as possible (as a microtask
+ * if Promise is available).
+ * @param {function} fn - function to call
+ * @private
+ */
+Matrix._defer = typeof Promise === 'function' ?
+	function(fn) {Promise.resolve().then(fn)} :
+	function(fn) {setTimeout(fn, 0)};
+
+/**
+ * Re-throws an error outside the current call stack (and outside any
+ * promise) so it is reported without interrupting the caller.
+ * @param {*} err - error to throw
+ * @private
+ * @static
+ */
+Matrix._rethrow = function(err) {
+	setTimeout(function() {throw err}, 0);
+};
+
+/**
+ * Creates a new matrix from components as returned by decompose().
+ * The components are applied in the order translate, rotate, scale and
+ * skewX.
+ *
+ * @param {{translateX: number, translateY: number, rotation: number, scaleX: number, scaleY: number, skewX: number}} d - decomposed components
+ * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+ * @returns {Matrix}
+ * @static
+ */
+Matrix.fromDecomposition = function(d, context) {
+	return new Matrix(context)
+		.translate(d.translateX, d.translateY)
+		.rotate(d.rotation)
+		.scale(d.scaleX, d.scaleY)
+		.skewX(Math.tan(d.skewX));
+};
+
+/**
+ * Creates a new matrix from a CSS transform string.
+ * See applyCSS() for supported transform functions and units.
+ *
+ * @param {string} css - CSS transform string
+ * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+ * @returns {Matrix}
+ * @static
+ */
+Matrix.fromCSS = function(css, context) {
+	return new Matrix(context).applyCSS(css);
+};
+
+/**
+ * Creates a new matrix from a SVG transform attribute value.
+ * See applySVG() for supported transform functions.
+ *
+ * @param {string} svg - SVG transform list
+ * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+ * @returns {Matrix}
+ * @static
+ */
+Matrix.fromSVG = function(svg, context) {
+	return new Matrix(context).applySVG(svg);
+};
+
+/**
+ * Creates a new matrix mapping three source points onto three
+ * destination points (the unique affine transform between two
+ * triangles).
+ *
+ * Throws if the source points are collinear as there is no unique
+ * solution in that case.
+ *
+ * @param {Array} src - array with three source point objects {x: x, y: y}
+ * @param {Array} dst - array with three destination point objects
+ * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+ * @returns {Matrix}
+ * @static
+ */
+Matrix.fromTriangles = function(src, dst, context) {
+
+	// matrices mapping the unit triangle onto each triangle
+	var ms = new Matrix().setTransform(src[1].x - src[0].x, src[1].y - src[0].y,
+									   src[2].x - src[0].x, src[2].y - src[0].y,
+									   src[0].x, src[0].y),
+		md = new Matrix(context).setTransform(dst[1].x - dst[0].x, dst[1].y - dst[0].y,
+											  dst[2].x - dst[0].x, dst[2].y - dst[0].y,
+											  dst[0].x, dst[0].y),
+		dt = ms.determinant(),
+		inv;
+
+	// collinear relative to the size of the triangle (squared edge lengths)
+	if (!dt || Math.abs(dt) <= Matrix._rankEpsilon * (ms.a * ms.a + ms.b * ms.b + ms.c * ms.c + ms.d * ms.d))
+		throw new Error('Degenerate triangle, source points are collinear');
+
+	inv = ms.getInverse();
+
+	return md.transform(inv.a, inv.b, inv.c, inv.d, inv.e, inv.f);
+};
+
+/**
+ * Finds the matrix that best maps source points onto destination
+ * points (weighted least squares), ie. for noisy control points.
+ *
+ * Options:
+ *
+ * model - "affine" (default, min. 3 points), "similarity" (rotation,
+ * uniform scale and translation, min. 2 points), "rigid" (rotation and
+ * translation, min. 2 points) or "translation" (min. 1 point)
+ * weights - array with a weight per point pair (default 1 for all)
+ *
+ * Throws if there are too few points, or if the source points are
+ * degenerate for the model (ie. collinear for affine).
+ *
+ * @param {Array} src - array with source point objects {x: x, y: y}
+ * @param {Array} dst - array with destination point objects
+ * @param {{model: string, weights: Array}} [options]
+ * @returns {{matrix: Matrix, residuals: Array, rms: number}} Fitted matrix,
+ * distance between each transformed source point and its destination
+ * point, and the root-mean-square of the residuals.
+ * @static
+ */
+Matrix.fit = function(src, dst, options) {
+
+	options = options || {};
+
+	var model = options.model || 'affine',
+		weights = options.weights,
+		minPoints = Matrix._fitMinPoints[model],
+		l = src.length,
+		m = new Matrix(),
+		sw = 0, csx = 0, csy = 0, cdx = 0, cdy = 0,
+		sxx = 0, sxy = 0, syy = 0, mxx = 0, mxy = 0, myx = 0, myy = 0,
+		residuals = [], sum = 0,
+		i, w, sx, sy, dx, dy, dt, angle, scale, p;
+
+	if (!minPoints) throw new Error('Unknown model: ' + model);
+	if (dst.length !== l) throw new Error('Source and destination must have the same number of points');
+	if (l < minPoints) throw new Error('Model ' + model + ' needs at least ' + minPoints + ' point pairs');
+
+	// weighted centroids
+	for(i = 0; i < l; i++) {
+		w = weights ? weights[i] : 1;
+		sw += w;
+		csx += w * src[i].x;
+		csy += w * src[i].y;
+		cdx += w * dst[i].x;
+		cdy += w * dst[i].y;
+	}
+
+	if (!(sw > 0)) throw new Error('Sum of weights must be positive');
+
+	csx /= sw;
+	csy /= sw;
+	cdx /= sw;
+	cdy /= sw;
+
+	// weighted covariances of centered points
+	for(i = 0; i < l; i++) {
+		w = weights ? weights[i] : 1;
+		sx = src[i].x - csx;
+		sy = src[i].y - csy;
+		dx = dst[i].x - cdx;
+		dy = dst[i].y - cdy;
+		sxx += w * sx * sx;
+		sxy += w * sx * sy;
+		syy += w * sy * sy;
+		mxx += w * dx * sx;
+		mxy += w * dx * sy;
+		myx += w * dy * sx;
+		myy += w * dy * sy;
+	}
+
+	if (model === 'affine') {
+		dt = sxx * syy - sxy * sxy;
+		if (!dt || Math.abs(dt) < Matrix._rankEpsilon * (sxx + syy) * (sxx + syy))
+			throw new Error('Degenerate input, source points are collinear');
+
+		m.a = (mxx * syy - mxy * sxy) / dt;
+		m.b = (myx * syy - myy * sxy) / dt;
+		m.c = (mxy * sxx - mxx * sxy) / dt;
+		m.d = (myy * sxx - myx * sxy) / dt;
+	}
+	else if (model !== 'translation') {
+		angle = Math.atan2(myx - mxy, mxx + myy);
+		scale = 1;
+
+		if (model === 'similarity') {
+			if (!(sxx + syy)) throw new Error('Degenerate input, source points are identical');
+			scale = Math.sqrt((mxx + myy) * (mxx + myy) + (myx - mxy) * (myx - mxy)) / (sxx + syy);
+		}
+
+		m.a = m.d = Math.cos(angle) * scale;
+		m.b = Math.sin(angle) * scale;
+		m.c = -m.b;
+	}
+
+	m.e = cdx - m.a * csx - m.c * csy;
+	m.f = cdy - m.b * csx - m.d * csy;
+
+	for(i = 0; i < l; i++) {
+		p = m.applyToPoint(src[i].x, src[i].y);
+		dx = p.x - dst[i].x;
+		dy = p.y - dst[i].y;
+		residuals.push(Math.sqrt(dx * dx + dy * dy));
+		sum += dx * dx + dy * dy;
+	}
+
+	return {
+		matrix: m,
+		residuals: residuals,
+		rms: Math.sqrt(sum / l)
+	};
+};
+
+/**
+ * Minimum number of point pairs for each model in Matrix.fit().
+ * @type {Object}
+ * @private
+ */
+Matrix._fitMinPoints = {affine: 3, similarity: 2, rigid: 2, translation: 1};
+
+/**
+ * Finds the matrix that best maps source points onto destination
+ * points while rejecting outliers (wrong point pairs) using RANSAC.
+ *
+ * Random minimal subsets of point pairs are fitted, and the fit with the
+ * most point pairs within threshold (inliers) is refitted using all of
+ * its inliers with Matrix.fit(). The random generator is seeded so the
+ * result is reproducible.
+ *
+ * Options:
+ *
+ * model - see Matrix.fit() (default "affine")
+ * threshold - max distance for a point pair to be an inlier (default 1)
+ * iterations - number of random subsets to try (default 1000)
+ * seed - seed for the random generator (integer, default 1)
+ *
+ * Throws if no non-degenerate subset is found.
+ *
+ * @param {Array} src - array with source point objects {x: x, y: y}
+ * @param {Array} dst - array with destination point objects
+ * @param {{model: string, threshold: number, iterations: number, seed: number}} [options]
+ * @returns {{matrix: Matrix, inliers: Array, residuals: Array, rms: number}} Fitted matrix,
+ * array with true for each inlier, distance for each point pair, and the
+ * root-mean-square of the inlier residuals.
+ * @static
+ */
+Matrix.fitRobust = function(src, dst, options) {
+
+	options = options || {};
+
+	var model = options.model || 'affine',
+		threshold = typeof options.threshold === 'number' ? options.threshold : 1,
+		iterations = options.iterations || 1000,
+		random = Matrix._random(options.seed || 1),
+		k = Matrix._fitMinPoints[model],
+		l = src.length,
+		best = null, bestCount = -1, bestError = Infinity,
+		inlierSrc, inlierDst, sampleSrc, sampleDst, picked, fit,
+		i, j, n, count, error;
+
+	if (!k) throw new Error('Unknown model: ' + model);
+	if (dst.length !== l) throw new Error('Source and destination must have the same number of points');
+	if (l < k) throw new Error('Model ' + model + ' needs at least ' + k + ' point pairs');
+
+	for(i = 0; i < iterations; i++) {
+
+		// pick k distinct point pairs
+		sampleSrc = [];
+		sampleDst = [];
+		picked = {};
+
+		while(sampleSrc.length < k) {
+			n = Math.floor(random() * l);
+			if (!picked[n]) {
+				picked[n] = true;
+				sampleSrc.push(src[n]);
+				sampleDst.push(dst[n]);
+			}
+		}
+
+		try {
+			fit = Matrix.fit(sampleSrc, sampleDst, {model: model});
+		}
+		catch(err) {
+			continue;	// degenerate subset
+		}
+
+		count = 0;
+		error = 0;
+
+		for(j = 0; j < l; j++) {
+			n = Matrix._distance(fit.matrix, src[j], dst[j]);
+			if (n <= threshold) {
+				count++;
+				error += n * n;
+			}
+		}
+
+		if (count > bestCount || (count === bestCount && error < bestError)) {
+			best = fit.matrix;
+			bestCount = count;
+			bestError = error;
+		}
+	}
+
+	if (!best) throw new Error('No model found, input is degenerate');
+
+	// refit with all inliers of the best model
+	inlierSrc = [];
+	inlierDst = [];
+
+	for(j = 0; j < l; j++) {
+		if (Matrix._distance(best, src[j], dst[j]) <= threshold) {
+			inlierSrc.push(src[j]);
+			inlierDst.push(dst[j]);
+		}
+	}
+
+	try {
+		best = Matrix.fit(inlierSrc, inlierDst, {model: model}).matrix;
+	}
+	catch(err) {}	// too few or degenerate inliers, keep the subset fit
+
+	fit = {
+		matrix: best,
+		inliers: [],
+		residuals: [],
+		rms: 0
+	};
+
+	for(j = count = error = 0; j < l; j++) {
+		n = Matrix._distance(best, src[j], dst[j]);
+		fit.residuals.push(n);
+		fit.inliers.push(n <= threshold);
+		if (n <= threshold) {
+			count++;
+			error += n * n;
+		}
 	}
-};
\ No newline at end of file
+
+	fit.rms = count ? Math.sqrt(error / count) : 0;
+
+	return fit;
+};
+
+/**
+ * Distance between a source point transformed by a matrix and a
+ * destination point.
+ * @param {Matrix} m - matrix
+ * @param {{x: number, y: number}} p1 - source point
+ * @param {{x: number, y: number}} p2 - destination point
+ * @returns {number}
+ * @private
+ */
+Matrix._distance = function(m, p1, p2) {
+	var p = m.applyToPoint(p1.x, p1.y),
+		dx = p.x - p2.x,
+		dy = p.y - p2.y;
+	return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Creates a seeded pseudo-random generator (Park-Miller) returning
+ * numbers in the range [0.0, 1.0).
+ * @param {number} seed - integer seed
+ * @returns {function} generator
+ * @private
+ */
+Matrix._random = function(seed) {
+
+	seed = Math.abs(Math.floor(seed)) % 2147483647 || 1;
+
+	return function() {
+		seed = seed * 16807 % 2147483647;
+		return (seed - 1) / 2147483646;
+	};
+};
+
+/**
+ * Immutable 2D transformation matrix with value semantics. It has the
+ * same methods as Matrix, but all methods that would modify the matrix
+ * instead return a new ImmutableMatrix with the result, leaving the
+ * original untouched. Methods that return new matrices, such as
+ * getInverse() and interpolate(), return immutable matrices as well.
+ *
+ * An immutable matrix can not be synced with a context, and has no
+ * state stack (save() and restore() throws). Use toMatrix() to get a
+ * mutable copy.
+ *
+ * Values not given default to the identity matrix.
+ *
+ * @param {number} [a=1] - scale x
+ * @param {number} [b=0] - skew y
+ * @param {number} [c=0] - skew x
+ * @param {number} [d=1] - scale y
+ * @param {number} [e=0] - translate x
+ * @param {number} [f=0] - translate y
+ * @constructor
+ * @extends Matrix
+ */
+function ImmutableMatrix(a, b, c, d, e, f) {
+
+	this.a = a === undefined ? 1 : a;
+	this.b = b === undefined ? 0 : b;
+	this.c = c === undefined ? 0 : c;
+	this.d = d === undefined ? 1 : d;
+	this.e = e === undefined ? 0 : e;
+	this.f = f === undefined ? 0 : f;
+	this.context = null;
+
+	Object.freeze(this);
+}
+
+ImmutableMatrix.prototype = Object.create(Matrix.prototype);
+ImmutableMatrix.prototype.constructor = ImmutableMatrix;
+
+/**
+ * Get a mutable copy of current matrix.
+ * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+ * @returns {Matrix}
+ */
+ImmutableMatrix.prototype.toMatrix = function(context) {
+	return new Matrix(context).copyFrom(this);
+};
+
+/**
+ * Returns current matrix as it is already immutable.
+ * @returns {ImmutableMatrix}
+ */
+ImmutableMatrix.prototype.toImmutable = function() {
+	return this;
+};
+
+/**
+ * Not supported for immutable matrices.
+ * @throws {Error}
+ */
+ImmutableMatrix.prototype.save = ImmutableMatrix.prototype.restore = function() {
+	throw new Error('ImmutableMatrix has no state stack');
+};
+
+/**
+ * Immutable matrices never change, listeners are ignored.
+ */
+ImmutableMatrix.prototype.on = ImmutableMatrix.prototype.off = function() {
+	return this;
+};
+
+/**
+ * Not supported for immutable matrices.
+ * @throws {Error}
+ */
+ImmutableMatrix.prototype.startRecording = function() {
+	throw new Error('ImmutableMatrix can not record operations');
+};
+
+/**
+ * Not supported for immutable matrices (used by MatrixHistory).
+ * @throws {Error}
+ * @private
+ */
+ImmutableMatrix.prototype._addOpObserver = function() {
+	throw new Error('ImmutableMatrix can not be tracked by MatrixHistory');
+};
+
+/**
+ * Always 0 for immutable matrices.
+ * @returns {number}
+ */
+ImmutableMatrix.prototype.getStackDepth = function() {
+	return 0;
+};
+
+/**
+ * Names of Matrix methods that modifies the matrix or returns a new
+ * matrix. ImmutableMatrix runs these on a mutable copy and returns the
+ * result as a new ImmutableMatrix. Made from Matrix.recordable (without
+ * the state stack) so new mutators only need to be added there.
+ * @type {Array}
+ * @static
+ */
+ImmutableMatrix.methods = Matrix.recordable.filter(function(name) {
+	return name !== 'save' && name !== 'restore';
+}).concat(['clone', 'getInverse', 'interpolate', 'interpolateAnim']);
+
+ImmutableMatrix.methods.forEach(function(name) {
+	ImmutableMatrix.prototype[name] = function() {
+		var m = new Matrix().copyFrom(this),
+			result = Matrix.prototype[name].apply(m, arguments);
+		return result instanceof Matrix ? result.toImmutable() : result;
+	};
+});
@@ -0,0 +1,302 @@
+/*!
+ * Transformation Matrix JS v1.6 (c) Epistemex 2014
+ * www.epistemex.com
+ * License: MIT, this header required.
+*/
+
+/**
+ * 3D transformation matrix (4x4) object initialized with identity matrix.
+ * Companion to the 2D Matrix with the same chainable API style.
+ * Requires matrix.js.
+ *
+ * Values are named as in CSS/DOMMatrix where mCR is column C, row R,
+ * and points are transformed as column vectors:
+ *
+ * m11 m21 m31 m41
+ * m12 m22 m32 m42
+ * m13 m23 m33 m43
+ * m14 m24 m34 m44
+ *
+ * For a flat (2D) matrix a = m11, b = m12, c = m21, d = m22, e = m41
+ * and f = m42.
+ *
+ * @prop {number} m11 ... m44 - matrix values
+ * @constructor
+ */
+function Matrix3D() {
+	this.reset();
+}
+
+Matrix3D.prototype = {
+
+	/**
+	 * Short-hand to reset current matrix to an identity matrix.
+	 */
+	reset: function() {
+		return this.setTransform(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Rotates current matrix accumulative around the x axis.
+	 * @param {number} angle - angle in radians
+	 */
+	rotateX: function(angle) {
+		var cos = Math.cos(angle),
+			sin = Math.sin(angle);
+		return this.transform(1, 0, 0, 0, 0, cos, sin, 0, 0, -sin, cos, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Rotates current matrix accumulative around the y axis.
+	 * @param {number} angle - angle in radians
+	 */
+	rotateY: function(angle) {
+		var cos = Math.cos(angle),
+			sin = Math.sin(angle);
+		return this.transform(cos, 0, -sin, 0, 0, 1, 0, 0, sin, 0, cos, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Rotates current matrix accumulative around the z axis. This is the
+	 * same rotation as the 2D Matrix' rotate().
+	 * @param {number} angle - angle in radians
+	 */
+	rotateZ: function(angle) {
+		var cos = Math.cos(angle),
+			sin = Math.sin(angle);
+		return this.transform(cos, sin, 0, 0, -sin, cos, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Scales current matrix accumulative.
+	 * @param {number} sx - scale factor x (1 does nothing)
+	 * @param {number} sy - scale factor y (1 does nothing)
+	 * @param {number} sz - scale factor z (1 does nothing)
+	 */
+	scale3d: function(sx, sy, sz) {
+		return this.transform(sx, 0, 0, 0, 0, sy, 0, 0, 0, 0, sz, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Translate current matrix accumulative.
+	 * @param {number} tx - translation for x
+	 * @param {number} ty - translation for y
+	 * @param {number} tz - translation for z
+	 */
+	translate3d: function(tx, ty, tz) {
+		return this.transform(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, tx, ty, tz, 1);
+	},
+
+	/**
+	 * Applies a perspective projection accumulative, as CSS perspective().
+	 * @param {number} d - distance from the z = 0 plane to the viewer
+	 */
+	perspective: function(d) {
+		return this.transform(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, -1 / d, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Set current matrix to new absolute matrix. Values are given in
+	 * column order as for CSS matrix3d().
+	 * @param {...number} m11 - m11, m12, m13, m14, m21, ... m44
+	 */
+	setTransform: function(m11, m12, m13, m14, m21, m22, m23, m24, m31, m32, m33, m34, m41, m42, m43, m44) {
+		return this._setArray(arguments);
+	},
+
+	/**
+	 * Multiplies current matrix with new matrix values. Values are given
+	 * in column order as for CSS matrix3d().
+	 * @param {...number} m11 - m11, m12, m13, m14, m21, ... m44
+	 */
+	transform: function(m11, m12, m13, m14, m21, m22, m23, m24, m31, m32, m33, m34, m41, m42, m43, m44) {
+
+		var a = this._toArray(),
+			b = arguments,
+			r = [], c, row;
+
+		for(c = 0; c < 4; c++) {
+			for(row = 0; row < 4; row++) {
+				r[c * 4 + row] = a[row] * b[c * 4] + a[4 + row] * b[c * 4 + 1] +
+								 a[8 + row] * b[c * 4 + 2] + a[12 + row] * b[c * 4 + 3];
+			}
+		}
+
+		return this._setArray(r);
+	},
+
+	/**
+	 * Get an inverse matrix of current matrix. See Matrix#getInverse()
+	 * for the singular argument, except that "pseudo" is not supported.
+	 * @param {string} [singular="throw"] - "throw" or "null"
+	 * @returns {Matrix3D|null}
+	 */
+	getInverse: function(singular) {
+
+		var m = this._toArray(),
+			inv = [], dt, norm = 1, i = 0;
+
+		inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+		inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+		inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+		inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+		inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+		inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+		inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+		inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+		inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+		inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+		inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+		inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+		inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+		inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+		inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+		inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+
+		dt = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+
+		// singular if |dt| is tiny relative to the product of the column
+		// lengths (its upper bound), so scaled or translated columns are fine
+		for(; i < 16; i += 4) {
+			norm *= Math.sqrt(m[i] * m[i] + m[i + 1] * m[i + 1] + m[i + 2] * m[i + 2] + m[i + 3] * m[i + 3]);
+		}
+
+		if (!isFinite(dt) || Math.abs(dt) <= Matrix._rankEpsilon * norm) {
+			if (singular === 'null') return null;
+			throw new Error('Matrix3D is not invertible (determinant: ' + dt + ')');
+		}
+
+		for(i = 0; i < 16; i++) inv[i] /= dt;
+
+		return new Matrix3D()._setArray(inv);
+	},
+
+	/**
+	 * Apply current matrix to a x, y and z point. The result is divided
+	 * by the homogeneous w component.
+	 *
+	 * @param {number} x - value for x
+	 * @param {number} y - value for y
+	 * @param {number} [z=0] - value for z
+	 * @returns {{x: number, y: number, z: number}} A new transformed point object
+	 */
+	applyToPoint: function(x, y, z) {
+
+		var w;
+
+		z = z || 0;
+		w = x * this.m14 + y * this.m24 + z * this.m34 + this.m44;
+
+		return {
+			x: (x * this.m11 + y * this.m21 + z * this.m31 + this.m41) / w,
+			y: (x * this.m12 + y * this.m22 + z * this.m32 + this.m42) / w,
+			z: (x * this.m13 + y * this.m23 + z * this.m33 + this.m43) / w
+		};
+	},
+
+	/**
+	 * Returns true if matrix is an identity matrix (no transforms applied).
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isIdentity: function(eps) {
+		return this.isEqual(new Matrix3D(), eps);
+	},
+
+	/**
+	 * Compares current matrix with another matrix. Returns true if equal
+	 * (within epsilon tolerance). See Matrix#isEqual().
+	 * @param {Matrix3D} m - matrix to compare this matrix with
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isEqual: function(m, eps) {
+
+		var m1 = this._toArray(),
+			m2 = m._toArray(),
+			i = 0;
+
+		for(; i < 16; i++) {
+			// translation compared relative to magnitude
+			if (!Matrix.prototype._isEqual(m1[i], m2[i], eps, i > 11 && i < 15)) return false;
+		}
+
+		return true;
+	},
+
+	/**
+	 * Returns true if the matrix is flat, ie. only transforms in the x/y
+	 * plane and can be represented by a 2D Matrix.
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	is2D: function(eps) {
+		var isEqual = Matrix.prototype._isEqual;
+		return (isEqual(this.m13, 0, eps) && isEqual(this.m14, 0, eps) &&
+				isEqual(this.m23, 0, eps) && isEqual(this.m24, 0, eps) &&
+				isEqual(this.m31, 0, eps) && isEqual(this.m32, 0, eps) &&
+				isEqual(this.m33, 1, eps) && isEqual(this.m34, 0, eps) &&
+				isEqual(this.m43, 0, eps) && isEqual(this.m44, 1, eps));
+	},
+
+	/**
+	 * Get a 2D Matrix from current matrix. Throws if the matrix is not
+	 * flat (see is2D()).
+	 * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+	 * @returns {Matrix}
+	 */
+	toMatrix: function(context) {
+		if (!this.is2D()) throw new Error('Matrix3D is not flat and can not be converted to Matrix');
+		return new Matrix(context).setTransform(this.m11, this.m12, this.m21, this.m22, this.m41, this.m42);
+	},
+
+	/**
+	 * Returns current matrix as a CSS transform string:
+	 *
+	 * "matrix3d(m11, m12, m13, m14, m21, ... m44)"
+	 *
+	 * @param {number} [precision] - max number of decimals (0-20)
+	 * @param {boolean} [trim=true] - remove trailing zeros when precision is used
+	 * @returns {string}
+	 */
+	toCSS: function(precision, trim) {
+		var values = this._toArray(), i = 0;
+		for(; i < 16; i++) values[i] = Matrix.prototype._num(values[i], precision, trim);
+		return 'matrix3d(' + values.join(', ') + ')';
+	},
+
+	/**
+	 * Get the matrix values as an array in column order.
+	 * @returns {Array}
+	 * @private
+	 */
+	_toArray: function() {
+		return [this.m11, this.m12, this.m13, this.m14,
+				this.m21, this.m22, this.m23, this.m24,
+				this.m31, this.m32, this.m33, this.m34,
+				this.m41, this.m42, this.m43, this.m44];
+	},
+
+	/**
+	 * Set the matrix values from an array in column order.
+	 * @param {Array} m - array with 16 values
+	 * @private
+	 */
+	_setArray: function(m) {
+		this.m11 = m[0];  this.m12 = m[1];  this.m13 = m[2];  this.m14 = m[3];
+		this.m21 = m[4];  this.m22 = m[5];  this.m23 = m[6];  this.m24 = m[7];
+		this.m31 = m[8];  this.m32 = m[9];  this.m33 = m[10]; this.m34 = m[11];
+		this.m41 = m[12]; this.m42 = m[13]; this.m43 = m[14]; this.m44 = m[15];
+		return this;
+	}
+};
+
+/**
+ * Creates a new flat Matrix3D from a 2D Matrix.
+ * @param {Matrix} m - 2D matrix
+ * @returns {Matrix3D}
+ * @static
+ */
+Matrix3D.fromMatrix = function(m) {
+	return new Matrix3D().setTransform(m.a, m.b, 0, 0, m.c, m.d, 0, 0, 0, 0, 1, 0, m.e, m.f, 0, 1);
+};
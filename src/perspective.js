@@ -0,0 +1,277 @@
+/*!
+ * Transformation Matrix JS v1.6 (c) Epistemex 2014
+ * www.epistemex.com
+ * License: MIT, this header required.
+*/
+
+/**
+ * Projective (perspective) transformation matrix object initialized with
+ * identity matrix. Unlike the affine Matrix it can map a rectangle onto
+ * any quadrilateral, ie. for perspective correction or corner-pinning.
+ * Requires matrix.js.
+ *
+ * The values a-f are as in Matrix, with g, h and i as the third row:
+ *
+ * a c e
+ * b d f
+ * g h i
+ *
+ * @prop {number} a - scale x
+ * @prop {number} b - skew y
+ * @prop {number} c - skew x
+ * @prop {number} d - scale y
+ * @prop {number} e - translate x
+ * @prop {number} f - translate y
+ * @prop {number} g - perspective x
+ * @prop {number} h - perspective y
+ * @prop {number} i - homogeneous scale
+ * @constructor
+ */
+function PerspectiveMatrix() {
+	this.reset();
+}
+
+PerspectiveMatrix.prototype = {
+
+	/**
+	 * Short-hand to reset current matrix to an identity matrix.
+	 */
+	reset: function() {
+		return this.setTransform(1, 0, 0, 1, 0, 0, 0, 0, 1);
+	},
+
+	/**
+	 * Set current matrix to new absolute matrix.
+	 * @param {number} a - scale x
+	 * @param {number} b - skew y
+	 * @param {number} c - skew x
+	 * @param {number} d - scale y
+	 * @param {number} e - translate x
+	 * @param {number} f - translate y
+	 * @param {number} g - perspective x
+	 * @param {number} h - perspective y
+	 * @param {number} i - homogeneous scale
+	 */
+	setTransform: function(a, b, c, d, e, f, g, h, i) {
+		this.a = a;
+		this.b = b;
+		this.c = c;
+		this.d = d;
+		this.e = e;
+		this.f = f;
+		this.g = g;
+		this.h = h;
+		this.i = i;
+		return this;
+	},
+
+	/**
+	 * Multiplies current matrix with new matrix values.
+	 * @param {number} a2 - scale x
+	 * @param {number} b2 - skew y
+	 * @param {number} c2 - skew x
+	 * @param {number} d2 - scale y
+	 * @param {number} e2 - translate x
+	 * @param {number} f2 - translate y
+	 * @param {number} g2 - perspective x
+	 * @param {number} h2 - perspective y
+	 * @param {number} i2 - homogeneous scale
+	 */
+	transform: function(a2, b2, c2, d2, e2, f2, g2, h2, i2) {
+
+		var a1 = this.a,
+			b1 = this.b,
+			c1 = this.c,
+			d1 = this.d,
+			e1 = this.e,
+			f1 = this.f,
+			g1 = this.g,
+			h1 = this.h,
+			i1 = this.i;
+
+		return this.setTransform(
+			a1 * a2 + c1 * b2 + e1 * g2,
+			b1 * a2 + d1 * b2 + f1 * g2,
+			a1 * c2 + c1 * d2 + e1 * h2,
+			b1 * c2 + d1 * d2 + f1 * h2,
+			a1 * e2 + c1 * f2 + e1 * i2,
+			b1 * e2 + d1 * f2 + f1 * i2,
+			g1 * a2 + h1 * b2 + i1 * g2,
+			g1 * c2 + h1 * d2 + i1 * h2,
+			g1 * e2 + h1 * f2 + i1 * i2
+		);
+	},
+
+	/**
+	 * Multiplies current matrix with another perspective matrix or an
+	 * affine Matrix.
+	 * @param {PerspectiveMatrix|Matrix} m - matrix to multiply with
+	 */
+	multiply: function(m) {
+		return m instanceof PerspectiveMatrix ?
+			   this.transform(m.a, m.b, m.c, m.d, m.e, m.f, m.g, m.h, m.i) :
+			   this.transform(m.a, m.b, m.c, m.d, m.e, m.f, 0, 0, 1);
+	},
+
+	/**
+	 * Get an inverse matrix of current matrix. See Matrix#getInverse()
+	 * for the singular argument, except that "pseudo" is not supported.
+	 * @param {string} [singular="throw"] - "throw" or "null"
+	 * @returns {PerspectiveMatrix|null}
+	 */
+	getInverse: function(singular) {
+
+		var a = this.a, b = this.b, c = this.c,
+			d = this.d, e = this.e, f = this.f,
+			g = this.g, h = this.h, i = this.i,
+			dt = a * (d * i - f * h) - c * (b * i - f * g) + e * (b * h - d * g),
+			norm = Math.sqrt(a * a + b * b + g * g) * Math.sqrt(c * c + d * d + h * h) * Math.sqrt(e * e + f * f + i * i);
+
+		// singular if |dt| is tiny relative to the product of the column
+		// lengths (its upper bound), so small quads are still invertible
+		if (!isFinite(dt) || Math.abs(dt) <= Matrix._rankEpsilon * norm) {
+			if (singular === 'null') return null;
+			throw new Error('PerspectiveMatrix is not invertible (determinant: ' + dt + ')');
+		}
+
+		return new PerspectiveMatrix().setTransform(
+			(d * i - f * h) / dt,
+			(f * g - b * i) / dt,
+			(e * h - c * i) / dt,
+			(a * i - e * g) / dt,
+			(c * f - e * d) / dt,
+			(e * b - a * f) / dt,
+			(b * h - d * g) / dt,
+			(c * g - a * h) / dt,
+			(a * d - c * b) / dt
+		);
+	},
+
+	/**
+	 * Apply current matrix to x and y point. The result is divided by
+	 * the homogeneous w component.
+	 *
+	 * @param {number} x - value for x
+	 * @param {number} y - value for y
+	 * @returns {{x: number, y: number}} A new transformed point object
+	 */
+	applyToPoint: function(x, y) {
+
+		var w = x * this.g + y * this.h + this.i;
+
+		return {
+			x: (x * this.a + y * this.c + this.e) / w,
+			y: (x * this.b + y * this.d + this.f) / w
+		};
+	},
+
+	/**
+	 * Returns true if the matrix is affine, ie. has no perspective
+	 * component and can be represented by a Matrix.
+	 * @param {number} [eps=Matrix.epsilon] - tolerance
+	 * @returns {boolean}
+	 */
+	isAffine: function(eps) {
+		return (this.i !== 0 &&
+				Matrix.prototype._isEqual(this.g / this.i, 0, eps) &&
+				Matrix.prototype._isEqual(this.h / this.i, 0, eps));
+	},
+
+	/**
+	 * Get an affine Matrix from current matrix. Throws if the matrix is
+	 * not affine (see isAffine()).
+	 * @param {CanvasRenderingContext2D} [context] - Optional context to sync with Matrix
+	 * @returns {Matrix}
+	 */
+	toMatrix: function(context) {
+
+		var i = this.i;
+
+		if (!this.isAffine()) throw new Error('PerspectiveMatrix is not affine and can not be converted to Matrix');
+
+		return new Matrix(context).setTransform(this.a / i, this.b / i, this.c / i, this.d / i, this.e / i, this.f / i);
+	}
+};
+
+/**
+ * Creates a new perspective matrix from an affine Matrix.
+ * @param {Matrix} m - affine matrix
+ * @returns {PerspectiveMatrix}
+ * @static
+ */
+PerspectiveMatrix.fromMatrix = function(m) {
+	return new PerspectiveMatrix().setTransform(m.a, m.b, m.c, m.d, m.e, m.f, 0, 0, 1);
+};
+
+/**
+ * Creates a new perspective matrix mapping the four corners of one
+ * quadrilateral onto the four corners of another. The corners must be
+ * given in the same order for both, ie. clock-wise from top-left.
+ *
+ * Throws if any three corners of either quadrilateral are collinear.
+ *
+ * @param {Array} src - array with four source point objects {x: x, y: y}
+ * @param {Array} dst - array with four destination point objects
+ * @returns {PerspectiveMatrix}
+ * @static
+ */
+PerspectiveMatrix.fromQuadToQuad = function(src, dst) {
+
+	var m = PerspectiveMatrix._fromSquare(dst).multiply(PerspectiveMatrix._fromSquare(src).getInverse());
+
+	// normalize so i = 1, unless the origin maps to infinity
+	return m.i ?
+		   m.setTransform(m.a / m.i, m.b / m.i, m.c / m.i, m.d / m.i, m.e / m.i, m.f / m.i, m.g / m.i, m.h / m.i, 1) :
+		   m;
+};
+
+/**
+ * Creates a new perspective matrix mapping the unit square (0,0), (1,0),
+ * (1,1), (0,1) onto a quadrilateral.
+ * @param {Array} q - array with four point objects
+ * @returns {PerspectiveMatrix}
+ * @private
+ */
+PerspectiveMatrix._fromSquare = function(q) {
+
+	var x0 = q[0].x, y0 = q[0].y,
+		x1 = q[1].x, y1 = q[1].y,
+		x2 = q[2].x, y2 = q[2].y,
+		x3 = q[3].x, y3 = q[3].y,
+		dx1 = x1 - x2, dy1 = y1 - y2,
+		dx2 = x3 - x2, dy2 = y3 - y2,
+		sx = x0 - x1 + x2 - x3,
+		sy = y0 - y1 + y2 - y3,
+		dt = dx1 * dy2 - dx2 * dy1,
+		g, h, k, p0, p1, p2, ux, uy, vx, vy, cross;
+
+	// no three corners may be collinear, relative to the size of the quad
+	for(k = 0; k < 4; k++) {
+		p0 = q[(k + 3) % 4];
+		p1 = q[k];
+		p2 = q[(k + 1) % 4];
+		ux = p0.x - p1.x;
+		uy = p0.y - p1.y;
+		vx = p2.x - p1.x;
+		vy = p2.y - p1.y;
+		cross = ux * vy - uy * vx;
+
+		if (!cross || Math.abs(cross) <= Matrix._rankEpsilon * (ux * ux + uy * uy + vx * vx + vy * vy))
+			throw new Error('Degenerate quadrilateral, corners are collinear');
+	}
+
+	g = (sx * dy2 - dx2 * sy) / dt;
+	h = (dx1 * sy - sx * dy1) / dt;
+
+	return new PerspectiveMatrix().setTransform(
+		x1 - x0 + g * x1,
+		y1 - y0 + g * y1,
+		x3 - x0 + h * x3,
+		y3 - y0 + h * y3,
+		x0,
+		y0,
+		g,
+		h,
+		1
+	);
+};